@@ -1,13 +1,102 @@
 // Vibe Translate Background Service Worker
-import { DEFAULTS } from './constants.js';
+import { getCachedTranslation, hashCacheKey, putCachedTranslation } from './cache.js';
+import { DEFAULTS, LANGUAGES } from './constants.js';
+import { findGlossaryMatches, findMissingGlossaryTerms, formatGlossary, getGlossaryEntries } from './glossary-store.js';
+import { addHistoryEntry } from './history-store.js';
+import { SAMPLE_CONTEXT, getPromptValues, renderPrompts, renderTemplate } from './prompt.js';
+import {
+    describeProvider,
+    getProfileRef,
+    getProvider,
+    getProviderProfiles,
+    requestCompletion,
+    requestCompletionWithFallback
+} from './providers.js';
+import { applyPreset } from './presets.js';
+import { SECRETS_LOCKED_MESSAGE, applySyncedSettings, isSyncEnabled, loadSettings } from './settings.js';
+import { findSiteRule, getSiteRuleOverrides } from './site-rules.js';
+import { addUsageRecord, getPeriodStart, getUsageRecords, summarizeUsage } from './usage-store.js';
+import { saveVocabularyEntry } from './vocabulary-store.js';
+
+// Menu item ids for one-off target language overrides are prefixed with this
+const TRANSLATE_TO_PREFIX = 'vibe-translate-to:';
+
+// Menu item ids for named presets are prefixed with this
+const PRESET_PREFIX = 'vibe-translate-preset:';
+
+// In-flight selection translations by request id, so the result popup can cancel them
+const activeRequests = new Map();
+
+// Prompts shipped as defaults by earlier versions. Settings saved from the popup
+// store the default verbatim, which would hide later default changes (such as the
+// configurable target language or the glossary section), so they are dropped on update.
+const LEGACY_PROMPTS = {
+    systemPrompt: [
+        'You are a professional translator. Translate the following text to Chinese accurately and naturally, preserving the original meaning and tone. Only return the translated text, without any additional explanation or formatting.'
+    ],
+    userMessage: [
+        'Translate: {{text}}\n\nContext:\nPrevious sentence: {{previousSentence}}\nNext sentence: {{nextSentence}}'
+    ]
+};
 
 // Create context menu when extension is installed
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
+    await createContextMenus();
+
+    // Drop stored copies of old default prompts so the current defaults apply
+    const stored = await chrome.storage.local.get(Object.keys(LEGACY_PROMPTS));
+    const legacyKeys = Object.keys(LEGACY_PROMPTS)
+        .filter(key => LEGACY_PROMPTS[key].includes(stored[key]));
+    if (legacyKeys.length > 0) {
+        await chrome.storage.local.remove(legacyKeys);
+    }
+});
+
+// Rebuild the menu when presets are added, renamed or removed
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.presets) {
+        createContextMenus();
+    }
+});
+
+// Copy settings changed in another browser into local storage
+chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'sync' || !await isSyncEnabled()) {
+        return;
+    }
+    const values = Object.fromEntries(
+        Object.entries(changes).map(([key, change]) => [key, change.newValue])
+    );
+    applySyncedSettings(values).catch(error => {
+        console.error('[Vibe Translate] Failed to apply synced settings:', error);
+    });
+});
+
+// Rebuilds run one after another; overlapping ones would create duplicate ids
+let contextMenuRebuild = Promise.resolve();
+
+/**
+ * Build the context menu from scratch once any rebuild in progress is done
+ */
+function createContextMenus() {
+    contextMenuRebuild = contextMenuRebuild
+        .then(buildContextMenus)
+        .catch(error => console.error('[Vibe Translate] Failed to build context menu:', error));
+    return contextMenuRebuild;
+}
+
+/**
+ * Build the context menu, including one item per preset
+ */
+async function buildContextMenus() {
+    await chrome.contextMenus.removeAll();
+    const { presets = [] } = await chrome.storage.local.get('presets');
+
     // Create parent menu
     chrome.contextMenus.create({
         id: 'vibe-translate',
         title: 'Vibe Translate',
-        contexts: ['selection']
+        contexts: ['selection', 'page', 'editable']
     });
 
     // Create translate submenu
@@ -18,204 +107,973 @@ chrome.runtime.onInstalled.addListener(() => {
         contexts: ['selection']
     });
 
+    // Create dictionary-style explanation item for words and short phrases
+    chrome.contextMenus.create({
+        id: 'vibe-translate-explain',
+        parentId: 'vibe-translate',
+        title: 'Explain',
+        contexts: ['selection']
+    });
+
+    // Create "Translate to…" submenu with one item per language
+    chrome.contextMenus.create({
+        id: 'vibe-translate-to',
+        parentId: 'vibe-translate',
+        title: 'Translate to…',
+        contexts: ['selection']
+    });
+
+    for (const language of LANGUAGES) {
+        chrome.contextMenus.create({
+            id: TRANSLATE_TO_PREFIX + language.code,
+            parentId: 'vibe-translate-to',
+            title: language.name,
+            contexts: ['selection']
+        });
+    }
+
+    // Create "Translate with preset" submenu with one item per named preset
+    if (presets.length > 0) {
+        chrome.contextMenus.create({
+            id: 'vibe-translate-presets',
+            parentId: 'vibe-translate',
+            title: 'Translate with preset',
+            contexts: ['selection']
+        });
+
+        for (const preset of presets) {
+            chrome.contextMenus.create({
+                id: PRESET_PREFIX + preset.id,
+                parentId: 'vibe-translate-presets',
+                title: preset.name,
+                contexts: ['selection']
+            });
+        }
+    }
+
+    // Create item that runs every configured provider side by side
+    chrome.contextMenus.create({
+        id: 'vibe-translate-compare',
+        parentId: 'vibe-translate',
+        title: 'Compare providers',
+        contexts: ['selection']
+    });
+
+    // Create translate-and-replace item for text fields and editors
+    chrome.contextMenus.create({
+        id: 'vibe-translate-replace',
+        parentId: 'vibe-translate',
+        title: 'Translate and replace',
+        contexts: ['editable']
+    });
+
+    // Create full-page translation item
+    chrome.contextMenus.create({
+        id: 'vibe-translate-page',
+        parentId: 'vibe-translate',
+        title: 'Translate this page',
+        contexts: ['selection', 'page']
+    });
+
     console.log('[Vibe Translate] Context menu created');
-});
+}
 
 // Handle context menu clicks
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-    if (info.menuItemId === 'vibe-translate-action' && tab?.id) {
-        try {
-            // Send message to content script to extract context
-            const response = await chrome.tabs.sendMessage(tab.id, {
-                action: 'extractContext',
-                selectionText: info.selectionText
-            });
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id) {
+        return;
+    }
+
+    const menuItemId = String(info.menuItemId);
+
+    if (menuItemId === 'vibe-translate-action') {
+        translateSelection(tab.id, info.selectionText);
+    } else if (menuItemId.startsWith(TRANSLATE_TO_PREFIX)) {
+        translateSelection(tab.id, info.selectionText, {
+            targetLanguage: menuItemId.slice(TRANSLATE_TO_PREFIX.length)
+        });
+    } else if (menuItemId.startsWith(PRESET_PREFIX)) {
+        // Only the id travels with the card; the preset is looked up on each use
+        translateSelection(tab.id, info.selectionText, {
+            presetId: menuItemId.slice(PRESET_PREFIX.length)
+        });
+    } else if (menuItemId === 'vibe-translate-explain') {
+        translateSelection(tab.id, info.selectionText, {}, { mode: 'explain' });
+    } else if (menuItemId === 'vibe-translate-compare') {
+        translateSelection(tab.id, info.selectionText, {}, { mode: 'compare' });
+    } else if (menuItemId === 'vibe-translate-replace') {
+        sendTabAction(tab.id, 'translateEditable');
+    } else if (menuItemId === 'vibe-translate-page') {
+        sendTabAction(tab.id, 'translatePage');
+    }
+});
 
-            if (response) {
-                console.log('[Vibe Translate] Context received:', response);
+// Handle keyboard shortcuts
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab?.id) {
+        return;
+    }
 
-                // Call LLM API for translation
-                await translateWithLLM(response, tab.id);
+    if (command === 'translate-selection') {
+        // Without selectionText the content script reads the page selection
+        translateSelection(tab.id);
+    } else if (command === 'translate-page') {
+        sendTabAction(tab.id, 'translatePage');
+    } else if (command === 'translate-and-replace') {
+        sendTabAction(tab.id, 'translateEditable');
+    }
+});
+
+/**
+ * Ask the tab's content scripts to translate the page or the focused field.
+ * Nothing answers on pages they can't run on, like chrome:// pages, or in
+ * tabs opened before the extension was loaded, so say so in a notification.
+ */
+function sendTabAction(tabId, action) {
+    chrome.tabs.sendMessage(tabId, { action }).catch(error => {
+        console.error(`[Vibe Translate] ${action} failed:`, error.message);
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: 'Vibe Translate',
+            message: "Vibe Translate can't run on this page. Reload the page and try again, or use another page."
+        });
+    });
+}
+
+// Handle requests from content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Content scripts look up the rule for their page when they load
+    if (message.action === 'getSiteRule') {
+        getSiteRule(sender.url)
+            .then(rule => sendResponse({ rule }))
+            .catch(() => sendResponse({ rule: null }));
+        return true;
+    }
+
+    if (message.action === 'translateParagraphs') {
+        translateParagraphs(message.texts, sender.url)
+            .then(translations => sendResponse({ translations }))
+            .catch(error => sendResponse({ error: error.message }));
+        // Keep the channel open for the async response
+        return true;
+    }
+
+    // The floating selection button
+    if (message.action === 'translateSelection' && sender.tab?.id) {
+        translateSelection(sender.tab.id, message.selectionText);
+        return;
+    }
+
+    // The settings page checks unsaved connection settings
+    if (message.action === 'testConnection') {
+        testConnection(message.settings)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (message.action === 'translateReplacement') {
+        translateReplacement(message)
+            .then(translation => sendResponse({ translation }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    if (message.action === 'saveVocabulary') {
+        saveVocabulary(message)
+            .then(() => sendResponse({ saved: true }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+
+    // Read a card's text aloud; progress events go back to the card
+    if (message.action === 'speak' && sender.tab?.id) {
+        speak(message, sender.tab.id);
+    }
+
+    if (message.action === 'stopSpeaking') {
+        chrome.tts.stop();
+    }
+
+    if (message.action === 'cancelTranslation') {
+        activeRequests.get(message.requestId)?.abort();
+    }
+
+    // A follow-up question typed into the card
+    if (message.action === 'followUp' && sender.tab?.id) {
+        const tabId = sender.tab.id;
+        reportErrors(tabId, () =>
+            followUpWithLLM(message.result, message.question, tabId),
+            message.result?.cardId
+        );
+    }
+
+    // The card's Explain button
+    if (message.action === 'explain' && sender.tab?.id) {
+        const tabId = sender.tab.id;
+        reportErrors(tabId, () =>
+            explainWithLLM(message.context, tabId, message.overrides),
+            message.context?.cardId
+        );
+    }
+
+    if (message.action === 'retranslate' && sender.tab?.id) {
+        const tabId = sender.tab.id;
+        reportErrors(tabId, () =>
+            translateWithLLM(message.context, tabId, message.overrides, { bypassCache: true }),
+            message.context?.cardId
+        );
+    }
+});
+
+/**
+ * The site rule for a page URL, or null
+ */
+async function getSiteRule(url) {
+    const { siteRules = [] } = await chrome.storage.local.get('siteRules');
+    return findSiteRule(siteRules, url);
+}
+
+/**
+ * Extract the selection context from the tab and translate it,
+ * reporting any failure in the result popup.
+ * `overrides` replaces stored settings for this translation only;
+ * `options.mode` is 'explain' for a dictionary entry or 'compare' to run
+ * every configured provider instead of the first.
+ */
+function translateSelection(tabId, selectionText, overrides = {}, options = {}) {
+    return reportErrors(tabId, async () => {
+        // Send message to content script to extract context
+        const settings = await loadSettings();
+        const response = await chrome.tabs.sendMessage(tabId, {
+            action: 'extractContext',
+            selectionText: selectionText,
+            contextOptions: {
+                mode: settings.contextMode || DEFAULTS.CONTEXT_MODE,
+                sentences: settings.contextSentences || DEFAULTS.CONTEXT_SENTENCES
+            }
+        });
+
+        if (response) {
+            console.log('[Vibe Translate] Context received:', response);
+
+            // Menu choices take precedence over the page's site rule
+            const siteRule = findSiteRule(settings.siteRules, response.pageUrl);
+            const translationOverrides = { ...getSiteRuleOverrides(siteRule, settings.presets), ...overrides };
+
+            // Call LLM API for translation, reporting failures in the selection's card
+            await reportErrors(tabId, () => {
+                // Keyboard shortcuts can fire with nothing selected
+                if (!response.selectedText.trim()) {
+                    throw new Error('Select some text to translate first.');
+                }
+                if (options.mode === 'explain') {
+                    return explainWithLLM(response, tabId, translationOverrides);
+                }
+                if (options.mode === 'compare') {
+                    return compareWithLLMs(response, tabId, translationOverrides);
+                }
+                return translateWithLLM(response, tabId, translationOverrides);
+            }, response.cardId);
+        }
+    });
+}
+
+/**
+ * Speak text with the voice chosen for its language in settings, if any.
+ * Speaking interrupts whatever is playing; every tts event is forwarded to
+ * the card so it can highlight the current sentence.
+ */
+async function speak({ text, language, cardId, part }, tabId) {
+    const settings = await loadSettings();
+    const voices = settings.ttsVoices || {};
+
+    // Voices are chosen per language in settings; "en-US" text uses the "en" voice
+    const primary = (language || '').split('-')[0];
+    const voiceName = voices[language]
+        || Object.entries(voices).find(([code]) => code.split('-')[0] === primary)?.[1];
+
+    chrome.tts.speak(text, {
+        lang: language,
+        voiceName: voiceName || undefined,
+        rate: settings.ttsRate || DEFAULTS.TTS_RATE,
+        onEvent: (event) => {
+            if (event.type === 'error') {
+                console.warn('[Vibe Translate] Speech failed:', event.errorMessage);
             }
-        } catch (error) {
-            console.error('[Vibe Translate] Error:', error.message);
-            // Notify content script of error
-            chrome.tabs.sendMessage(tab.id, {
-                action: 'showTranslationResult',
-                error: error.message
+            chrome.tabs.sendMessage(tabId, {
+                action: 'speechEvent',
+                type: event.type,
+                charIndex: event.charIndex,
+                cardId: cardId,
+                part: part
             });
         }
+    });
+}
+
+/**
+ * Run a translation task for a tab, showing any failure in the result card
+ * with the given id (or the newest card when there is none yet)
+ */
+async function reportErrors(tabId, task, cardId) {
+    try {
+        await task();
+    } catch (error) {
+        // The user cancelled from the card, which already closed it
+        if (error.kind === 'cancelled') {
+            console.log('[Vibe Translate] Translation cancelled');
+            return;
+        }
+
+        console.error('[Vibe Translate] Error:', error.message);
+        // Notify content script of error
+        chrome.tabs.sendMessage(tabId, {
+            action: 'showTranslationResult',
+            error: error.message,
+            cardId: cardId
+        });
     }
-});
+}
 
 /**
- * Call LLM API to translate the text with context
+ * Throw if the provider needs an API token and there is none, which is also
+ * the case while encrypted tokens are locked
  */
-async function translateWithLLM(context, tabId) {
-    // Get settings from storage
-    const settings = await chrome.storage.local.get([
-        'providerType',
-        'baseUrl',
-        'model',
-        'apiToken',
-        'systemPrompt',
-        'userMessage'
-    ]);
+function checkApiToken(settings, provider) {
+    if (provider.requiresApiKey && !settings.apiToken) {
+        throw new Error(settings.secretsLocked
+            ? SECRETS_LOCKED_MESSAGE
+            : 'API token not configured. Please set up in extension settings.');
+    }
+}
+
+/**
+ * Call LLM API to translate the text with context.
+ * Results are cached unless `options.bypassCache` is set, which forces a fresh
+ * request and overwrites the cached entry.
+ */
+async function translateWithLLM(context, tabId, overrides = {}, options = {}) {
+    // Get settings from storage, with the chosen preset applied
+    const settings = applyPreset({ ...await loadSettings(), ...overrides });
+
+    const provider = getProvider(settings.providerType);
 
     // Validate settings
-    if (!settings.apiToken) {
-        throw new Error('API token not configured. Please set up in extension settings.');
-    }
+    checkApiToken(settings, provider);
+
+    // Only glossary terms that occur in the selection or its context are sent
+    const glossaryMatches = await getGlossaryMatches(context, settings);
+
+    // Render both prompts with placeholders replaced
+    const { systemPrompt, userMessage } = renderPrompts(context, settings, {
+        glossary: formatGlossary(glossaryMatches)
+    });
+
+    // Everything that changes the output goes into the cache key
+    const cacheKey = await hashCacheKey([
+        context.selectedText,
+        context.previousSentence,
+        context.nextSentence,
+        settings.providerType || 'openai',
+        // Two servers of the same type can serve different models under one name
+        settings.baseUrl || provider.defaults.baseUrl,
+        settings.model || provider.defaults.model,
+        settings.temperature,
+        systemPrompt,
+        userMessage
+    ]);
+
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userMessage }
+    ];
 
-    // Build the user message with placeholders replaced (use DEFAULTS as fallback)
-    const systemPrompt = settings.systemPrompt || DEFAULTS.SYSTEM_PROMPT;
-    let userMessage = settings.userMessage || DEFAULTS.USER_MESSAGE;
+    // Sent with every result so the card can ask for a fresh translation
+    const result = {
+        action: 'showTranslationResult',
+        originalText: context.selectedText,
+        context: context,
+        overrides: overrides,
+        cardId: context.cardId,
+        // Lets the card pick voices for reading both sides aloud
+        sourceLanguage: settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE,
+        targetLanguage: settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE
+    };
+
+    if (!options.bypassCache) {
+        const cached = await getCachedTranslation(cacheKey).catch(error => {
+            console.warn('[Vibe Translate] Cache read failed:', error);
+            return null;
+        });
+
+        // Earlier versions cached this placeholder for empty replies
+        if (cached && cached !== 'No translation returned') {
+            console.log('[Vibe Translate] Cache hit');
+            chrome.tabs.sendMessage(tabId, {
+                ...result,
+                translation: cached,
+                cached: true,
+                messages: [...messages, { role: 'assistant', content: cached }],
+                glossaryWarnings: findMissingGlossaryTerms(glossaryMatches, context.selectedText, cached)
+            });
+            recordHistory(context, settings, cached);
+            return;
+        }
+    }
 
-    userMessage = userMessage
-        .replace(/\{\{text\}\}/g, context.selectedText || '')
-        .replace(/\{\{previousSentence\}\}/g, context.previousSentence || '(none)')
-        .replace(/\{\{nextSentence\}\}/g, context.nextSentence || '(none)');
+    // Blocks the request, or returns a warning for the card, once over budget
+    const budgetWarning = await checkBudget(settings);
 
     // Log the LLM input
     console.log('='.repeat(60));
     console.log('[Deep Translate] LLM API Input');
     console.log('='.repeat(60));
-    console.log('Provider:', settings.providerType || 'openai');
+    console.log('Provider:', provider.label);
     console.log('Model:', settings.model);
     console.log('System Prompt:', systemPrompt);
     console.log('User Message:', userMessage);
     console.log('='.repeat(60));
 
+    // The card's Cancel button aborts the request through this id
+    const requestId = crypto.randomUUID();
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
+
     // Show loading state
     chrome.tabs.sendMessage(tabId, {
         action: 'showTranslationResult',
-        loading: true
+        loading: true,
+        requestId: requestId,
+        cardId: context.cardId
     });
 
-    let translation;
+    // Stream partial output to the result card unless disabled in settings
+    const onDelta = settings.streamResponse === false ? null : (delta) => {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'appendTranslationChunk',
+            delta: delta,
+            originalText: context.selectedText,
+            requestId: requestId,
+            cardId: context.cardId
+        });
+    };
 
-    if (settings.providerType === 'gemini') {
-        translation = await callGeminiAPI(settings, systemPrompt, userMessage);
-    } else {
-        translation = await callOpenAIAPI(settings, systemPrompt, userMessage);
+    // Fallback profiles take over on quota, auth and network errors
+    let completion;
+    try {
+        completion = await requestCompletionWithFallback(settings, messages, onDelta, {
+            signal: controller.signal,
+            onUsage: recordUsage
+        });
+    } finally {
+        activeRequests.delete(requestId);
     }
+    const translation = completion.text;
 
     // Log the LLM output
     console.log('='.repeat(60));
     console.log('[Deep Translate] LLM API Output');
     console.log('='.repeat(60));
     console.log('Translation:', translation);
+    console.log('Answered by:', describeProvider(completion.settings));
     console.log('='.repeat(60));
 
     // Send translation result to content script
+    chrome.tabs.sendMessage(tabId, {
+        ...result,
+        translation: translation,
+        // Name the preset too, since its prompts shaped the result
+        provider: [settings.presetName, describeProvider(completion.settings)].filter(Boolean).join(' · '),
+        fallback: completion.fallback,
+        // Follow-up questions go to the profile that gave this answer
+        answeredBy: getProfileRef(completion.settings),
+        glossaryWarnings: findMissingGlossaryTerms(glossaryMatches, context.selectedText, translation),
+        budgetWarning: budgetWarning,
+        // The conversation so far, sent back with follow-up questions
+        messages: [...messages, { role: 'assistant', content: translation }]
+    });
+
+    putCachedTranslation(cacheKey, translation).catch(error => {
+        console.warn('[Vibe Translate] Cache write failed:', error);
+    });
+    recordHistory(context, completion.settings, translation);
+}
+
+/**
+ * Continue the conversation behind a result card with a follow-up question.
+ * The card holds the conversation: `result` is the card's last result,
+ * including the message history, and comes back with the question and
+ * answer appended to its thread. Failures are shown in the thread so the
+ * earlier answers stay visible.
+ */
+async function followUpWithLLM(result, question, tabId) {
+    const settings = applyPreset({ ...await loadSettings(), ...result.overrides });
+    const messages = [...result.messages, { role: 'user', content: question }];
+    const thread = [...(result.thread || [])];
+
+    const requestId = crypto.randomUUID();
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
+
+    const update = (turn, extra = {}) => {
+        chrome.tabs.sendMessage(tabId, {
+            ...result,
+            action: 'showTranslationResult',
+            thread: [...thread, { question, ...turn }],
+            ...extra
+        });
+    };
+
+    // Show the question with an empty answer that streamed text fills in
+    update({ answer: '', pending: true }, { followUpPending: true, requestId: requestId });
+
+    const onDelta = settings.streamResponse === false ? null : (delta) => {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'appendTranslationChunk',
+            delta: delta,
+            requestId: requestId,
+            cardId: result.cardId
+        });
+    };
+
+    let completion;
+    try {
+        await checkBudget(settings);
+        completion = await requestCompletionWithFallback(settings, messages, onDelta, {
+            signal: controller.signal,
+            onUsage: recordUsage,
+            preferredProfile: result.answeredBy
+        });
+    } catch (error) {
+        if (error.kind === 'cancelled') {
+            throw error;
+        }
+        update({ error: error.message });
+        return;
+    } finally {
+        activeRequests.delete(requestId);
+    }
+
+    update({ answer: completion.text }, {
+        messages: [...messages, { role: 'assistant', content: completion.text }],
+        provider: [settings.presetName, describeProvider(completion.settings)].filter(Boolean).join(' · '),
+        fallback: completion.fallback,
+        answeredBy: getProfileRef(completion.settings)
+    });
+}
+
+/**
+ * Ask for a dictionary-style explanation of a word or phrase in its context.
+ * The model replies with JSON; when that cannot be used, its reply is shown
+ * as a plain translation instead.
+ */
+async function explainWithLLM(context, tabId, overrides = {}) {
+    const settings = applyPreset({ ...await loadSettings(), ...overrides });
+    const provider = getProvider(settings.providerType);
+
+    checkApiToken(settings, provider);
+
+    const budgetWarning = await checkBudget(settings);
+
+    const values = getPromptValues(context, settings);
+    const messages = [
+        { role: 'system', content: renderTemplate(DEFAULTS.EXPLAIN_SYSTEM_PROMPT, values) },
+        { role: 'user', content: renderTemplate(DEFAULTS.EXPLAIN_USER_MESSAGE, values) }
+    ];
+
+    const requestId = crypto.randomUUID();
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
+
+    chrome.tabs.sendMessage(tabId, {
+        action: 'showTranslationResult',
+        loading: true,
+        requestId: requestId,
+        cardId: context.cardId
+    });
+
+    // Not streamed, since partial JSON cannot be shown
+    let completion;
+    try {
+        completion = await requestCompletionWithFallback(settings, messages, null, {
+            signal: controller.signal,
+            onUsage: recordUsage
+        });
+    } finally {
+        activeRequests.delete(requestId);
+    }
+
+    const explanation = parseExplanation(completion.text);
+    if (!explanation) {
+        console.warn('[Vibe Translate] Explanation was not valid JSON:', completion.text);
+    }
+    const translation = explanation?.translation || completion.text.trim();
+
     chrome.tabs.sendMessage(tabId, {
         action: 'showTranslationResult',
+        originalText: context.selectedText,
+        context: context,
+        overrides: overrides,
+        cardId: context.cardId,
+        sourceLanguage: settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE,
+        targetLanguage: settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE,
         translation: translation,
-        originalText: context.selectedText
+        explanation: explanation,
+        explainFailed: !explanation,
+        budgetWarning: budgetWarning,
+        provider: [settings.presetName, describeProvider(completion.settings)].filter(Boolean).join(' · '),
+        fallback: completion.fallback
     });
+
+    recordHistory(context, completion.settings, translation);
+}
+
+/**
+ * Read an explanation from a model reply, tolerating code fences or
+ * surrounding prose. Fields of the wrong type are dropped; returns null
+ * when there is no object or it has no translation.
+ */
+function parseExplanation(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+
+    const readString = (value) => typeof value === 'string' ? value.trim() : '';
+    const readList = (value) => Array.isArray(value) ? value : [];
+
+    const translation = readString(data?.translation);
+    if (!translation) {
+        return null;
+    }
+
+    return {
+        translation,
+        partOfSpeech: readString(data.partOfSpeech),
+        pronunciation: readString(data.pronunciation),
+        definition: readString(data.definition),
+        alternatives: readList(data.alternatives).map(readString).filter(Boolean),
+        // Examples may come as plain strings instead of objects
+        examples: readList(data.examples)
+            .map(example => typeof example === 'string'
+                ? { sentence: example.trim(), translation: '' }
+                : { sentence: readString(example?.sentence), translation: readString(example?.translation) })
+            .filter(example => example.sentence)
+    };
 }
 
 /**
- * Normalize API URL: remove trailing slashes, check for existing path
- * Following Cherry Studio's approach for robust URL handling
+ * Send the same rendered prompt to the main provider and every fallback profile
+ * in parallel, updating the card as each one answers with its latency and token
+ * counts. Comparisons skip the cache and history.
  */
-function normalizeApiUrl(baseUrl, endpoint) {
-    // Remove trailing slashes
-    let url = baseUrl.replace(/\/+$/, '');
+async function compareWithLLMs(context, tabId, overrides = {}) {
+    const settings = applyPreset({ ...await loadSettings(), ...overrides });
+    const profiles = getProviderProfiles(settings);
+
+    if (profiles.length < 2) {
+        throw new Error(settings.secretsLocked
+            ? SECRETS_LOCKED_MESSAGE
+            : 'Add a fallback provider in the settings to compare against.');
+    }
+
+    await checkBudget(settings);
+
+    const glossaryMatches = await getGlossaryMatches(context, settings);
+    const { systemPrompt, userMessage } = renderPrompts(context, settings, {
+        glossary: formatGlossary(glossaryMatches)
+    });
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userMessage }
+    ];
+
+    // One Cancel stops all providers
+    const requestId = crypto.randomUUID();
+    const controller = new AbortController();
+    activeRequests.set(requestId, controller);
 
-    // Check if the endpoint path already exists in the URL
-    if (!url.includes(endpoint)) {
-        url = `${url}/${endpoint}`;
+    const results = profiles.map(profile => ({ provider: describeProvider(profile), pending: true }));
+    const report = () => {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'showTranslationResult',
+            originalText: context.selectedText,
+            comparison: results,
+            comparing: results.some(result => result.pending),
+            requestId: requestId,
+            cardId: context.cardId
+        });
+    };
+    report();
+
+    try {
+        await Promise.all(profiles.map(async (profile, index) => {
+            const started = performance.now();
+            let usage = null;
+            try {
+                const translation = await requestCompletion(profile, messages, null, {
+                    signal: controller.signal,
+                    onUsage: (value, profileSettings) => {
+                        usage = value;
+                        recordUsage(value, profileSettings);
+                    }
+                });
+                results[index] = { provider: results[index].provider, translation, usage };
+            } catch (error) {
+                results[index] = { provider: results[index].provider, error: error.message };
+            }
+            results[index].latencyMs = Math.round(performance.now() - started);
+            report();
+        }));
+    } finally {
+        activeRequests.delete(requestId);
+    }
+}
+
+/**
+ * Translate the sample selection with the main provider, rendering prompts
+ * and sending the request as translateWithLLM does. `overrides` holds the
+ * unsaved settings from the form. Fallbacks, the cache and history are
+ * skipped so the reply shows whether this provider works.
+ */
+async function testConnection(overrides) {
+    // An empty token field means the stored token, which may still be locked
+    const { apiToken, ...formSettings } = overrides;
+    const settings = { ...await loadSettings(), ...formSettings };
+    if (apiToken) {
+        settings.apiToken = apiToken;
     }
+    const provider = getProvider(settings.providerType);
+    checkApiToken(settings, provider);
+
+    const { systemPrompt, userMessage } = renderPrompts(SAMPLE_CONTEXT, settings, {
+        glossary: formatGlossary([])
+    });
+
+    const started = Date.now();
+    const translation = await requestCompletion(settings, [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userMessage }
+    ], null, { onUsage: recordUsage });
+
+    return {
+        translation: translation.trim(),
+        provider: describeProvider(settings),
+        latencyMs: Date.now() - started
+    };
+}
+
+/**
+ * Translate text from an editable field for translate-and-replace.
+ * The source language is always detected and the target is the separate
+ * "replace into" language, since this is for writing rather than reading.
+ */
+async function translateReplacement({ text, pageUrl, pageTitle }) {
+    const storedSettings = await loadSettings();
+    const settings = {
+        ...storedSettings,
+        sourceLanguage: 'auto',
+        targetLanguage: storedSettings.replaceTargetLanguage || DEFAULTS.REPLACE_TARGET_LANGUAGE
+    };
+
+    const provider = getProvider(settings.providerType);
+    checkApiToken(settings, provider);
 
-    return url;
+    const context = { selectedText: text, pageUrl, pageTitle };
+    const glossaryMatches = await getGlossaryMatches(context, settings);
+    const { systemPrompt, userMessage } = renderPrompts(context, settings, {
+        glossary: formatGlossary(glossaryMatches)
+    });
+
+    await checkBudget(settings);
+    const completion = await requestCompletionWithFallback(settings, [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userMessage }
+    ], null, { onUsage: recordUsage });
+
+    recordHistory(context, completion.settings, completion.text);
+    return completion.text;
 }
 
 /**
- * Call OpenAI-compatible API
+ * Glossary entries for the current language pair whose source term appears
+ * in the selection or its context sentences
  */
-async function callOpenAIAPI(settings, systemPrompt, userMessage) {
-    const baseUrl = settings.baseUrl || 'https://api.openai.com';
-    const model = settings.model || 'gpt-4';
+async function getGlossaryMatches(context, settings) {
+    try {
+        const entries = await getGlossaryEntries(
+            settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE,
+            settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE
+        );
+        const text = [context.previousSentence, context.selectedText, context.nextSentence]
+            .filter(Boolean)
+            .join('\n');
+        return findGlossaryMatches(entries, text);
+    } catch (error) {
+        console.warn('[Vibe Translate] Glossary read failed:', error);
+        return [];
+    }
+}
 
-    // Normalize URL: handle trailing slashes and existing path
-    const apiUrl = normalizeApiUrl(baseUrl, 'v1/chat/completions');
+/**
+ * Save a translated word or phrase with its context sentence to the vocabulary notebook
+ */
+async function saveVocabulary({ context, overrides, translation }) {
+    const settings = { ...await loadSettings(), ...overrides };
 
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${settings.apiToken}`
-        },
-        body: JSON.stringify({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userMessage }
-            ],
-            temperature: 0.3,
-            max_tokens: 1024
-        })
+    await saveVocabularyEntry({
+        term: context.selectedText,
+        translation: translation,
+        sentence: context.selectedSentence || context.selectedText,
+        previousSentence: context.previousSentence,
+        nextSentence: context.nextSentence,
+        pageUrl: context.pageUrl,
+        pageTitle: context.pageTitle,
+        sourceLanguage: settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE,
+        targetLanguage: settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE
     });
+}
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+/**
+ * Save a finished translation to the history unless disabled in settings
+ */
+function recordHistory(context, settings, translation) {
+    if (settings.historyEnabled === false) {
+        return;
     }
 
-    const data = await response.json();
-    return data.choices[0]?.message?.content || 'No translation returned';
+    addHistoryEntry({
+        original: context.selectedText,
+        previousSentence: context.previousSentence,
+        nextSentence: context.nextSentence,
+        translation: translation,
+        pageUrl: context.pageUrl,
+        pageTitle: context.pageTitle,
+        provider: getProvider(settings.providerType).label,
+        model: settings.model || getProvider(settings.providerType).defaults.model,
+        sourceLanguage: settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE,
+        targetLanguage: settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE
+    }).catch(error => {
+        console.warn('[Vibe Translate] History write failed:', error);
+    });
+}
+
+/**
+ * Record the token counts a provider reported for one request
+ */
+function recordUsage(usage, settings) {
+    const provider = getProvider(settings.providerType);
+
+    addUsageRecord({
+        provider: settings.providerType || 'openai',
+        model: settings.model || provider.defaults.model,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0
+    }).catch(error => {
+        console.warn('[Vibe Translate] Usage write failed:', error);
+    });
 }
 
 /**
- * Call Gemini API
+ * Compare this month's cost with the monthly budget, if one is set.
+ * Over budget, this throws when the budget blocks translations and
+ * otherwise returns a warning to show with the result.
+ *
+ * @returns {Promise<string|null>} The warning, or null within budget
  */
-async function callGeminiAPI(settings, systemPrompt, userMessage) {
-    let baseUrl = settings.baseUrl || 'https://generativelanguage.googleapis.com';
-    const model = settings.model || 'gemini-2.0-flash';
+async function checkBudget(settings) {
+    const budget = Number(settings.monthlyBudget);
+    if (!budget) {
+        return null;
+    }
 
-    // Normalize URL: remove trailing slashes
-    baseUrl = baseUrl.replace(/\/+$/, '');
+    let cost;
+    try {
+        const records = await getUsageRecords(getPeriodStart('month'));
+        cost = summarizeUsage(records, settings.modelPrices).cost;
+    } catch (error) {
+        console.warn('[Vibe Translate] Usage read failed:', error);
+        return null;
+    }
 
-    // Build endpoint - check if v1beta path already exists
-    let apiUrl;
-    if (baseUrl.includes('v1beta/models') || baseUrl.includes('v1/models')) {
-        // User provided full path including version, just append the action
-        apiUrl = `${baseUrl}/${model}:generateContent?key=${settings.apiToken}`;
-    } else if (baseUrl.includes('v1beta') || baseUrl.includes('v1')) {
-        // Has version but not models path
-        apiUrl = `${baseUrl}/models/${model}:generateContent?key=${settings.apiToken}`;
-    } else {
-        // Default: add full path
-        apiUrl = `${baseUrl}/v1beta/models/${model}:generateContent?key=${settings.apiToken}`;
+    if (cost < budget) {
+        return null;
     }
 
-    const response = await fetch(apiUrl,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                systemInstruction: {
-                    parts: [{ text: systemPrompt }]
-                },
-                contents: [{
-                    parts: [{ text: userMessage }]
-                }],
-                generationConfig: {
-                    temperature: 0.3,
-                    maxOutputTokens: 1024
-                }
-            })
+    const message = `This month's usage ($${cost.toFixed(2)}) has reached the budget of $${budget.toFixed(2)}.`;
+    if (settings.budgetAction === 'block') {
+        throw new Error(`${message} Raise the budget in the settings to keep translating.`);
+    }
+    return message;
+}
+
+/**
+ * Translate a batch of page paragraphs in one request.
+ * If the model returns a malformed or mismatched array, the batch is split
+ * in half and retried so one bad paragraph cannot fail the whole page.
+ */
+async function translateParagraphs(texts, pageUrl) {
+    const storedSettings = await loadSettings();
+    const rule = findSiteRule(storedSettings.siteRules, pageUrl);
+    const settings = applyPreset({ ...storedSettings, ...getSiteRuleOverrides(rule, storedSettings.presets) });
+    const provider = getProvider(settings.providerType);
+
+    checkApiToken(settings, provider);
+
+    await checkBudget(settings);
+    const systemPrompt = renderTemplate(DEFAULTS.PAGE_SYSTEM_PROMPT, getPromptValues({}, settings));
+
+    const translateBatch = async (batch) => {
+        const { text: response } = await requestCompletionWithFallback(settings, [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: JSON.stringify(batch) }
+        ], null, { onUsage: recordUsage });
+
+        const translations = parseJsonArray(response);
+        if (translations && translations.length === batch.length) {
+            return translations.map(String);
         }
-    );
 
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Gemini API error: ${response.status} - ${error}`);
+        if (batch.length === 1) {
+            // A single paragraph can be used as-is when the model skipped the array
+            return [translations?.[0] ?? response.trim()];
+        }
+
+        const middle = Math.ceil(batch.length / 2);
+        return [
+            ...await translateBatch(batch.slice(0, middle)),
+            ...await translateBatch(batch.slice(middle))
+        ];
+    };
+
+    return translateBatch(texts);
+}
+
+/**
+ * Parse a JSON array from a model reply, tolerating code fences or
+ * surrounding prose. Returns null if no array can be read.
+ */
+function parseJsonArray(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+        return null;
     }
 
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || 'No translation returned';
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return Array.isArray(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
 }
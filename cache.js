@@ -0,0 +1,99 @@
+// Vibe Translate - Translation Cache
+// Stores finished translations in IndexedDB, keyed by a hash of everything
+// that affects the output, with LRU eviction and a time-to-live.
+import { promisifyRequest, withStore } from './db.js';
+
+const CACHE_MAX_ENTRIES = 2000;
+const CACHE_MAX_BYTES = 5 * 1024 * 1024;
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash the parts that identify a translation into a hex SHA-256 key
+ */
+export async function hashCacheKey(parts) {
+    const data = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up a translation, returning null when missing or expired.
+ * A hit refreshes the entry's position in the LRU order.
+ */
+export function getCachedTranslation(key) {
+    return withStore('cache', 'readwrite', async (store) => {
+        const entry = await promisifyRequest(store.get(key));
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() - entry.createdAt > CACHE_TTL_MS) {
+            store.delete(key);
+            return null;
+        }
+
+        entry.lastAccess = Date.now();
+        store.put(entry);
+        return entry.translation;
+    });
+}
+
+/**
+ * Store a translation, then evict least recently used entries
+ * until the cache is back under its size limits.
+ */
+export async function putCachedTranslation(key, translation) {
+    const now = Date.now();
+
+    await withStore('cache', 'readwrite', (store) => {
+        store.put({
+            key,
+            translation,
+            createdAt: now,
+            lastAccess: now,
+            // Approximate UTF-16 size of the stored strings
+            size: (key.length + translation.length) * 2
+        });
+    });
+
+    await evictEntries();
+}
+
+function evictEntries() {
+    return withStore('cache', 'readwrite', async (store) => {
+        const entries = await promisifyRequest(store.index('lastAccess').getAll());
+        let count = entries.length;
+        let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+
+        // Entries come back oldest access first
+        for (const entry of entries) {
+            const expired = Date.now() - entry.createdAt > CACHE_TTL_MS;
+            if (!expired && count <= CACHE_MAX_ENTRIES && bytes <= CACHE_MAX_BYTES) {
+                continue;
+            }
+
+            store.delete(entry.key);
+            count--;
+            bytes -= entry.size;
+        }
+    });
+}
+
+/**
+ * Entry count and approximate size in bytes
+ */
+export function getCacheStats() {
+    return withStore('cache', 'readonly', async (store) => {
+        const entries = await promisifyRequest(store.getAll());
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((total, entry) => total + entry.size, 0)
+        };
+    });
+}
+
+export function clearCache() {
+    return withStore('cache', 'readwrite', (store) => {
+        store.clear();
+    });
+}
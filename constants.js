@@ -2,16 +2,47 @@
 // Single source of truth for default configuration
 
 export const DEFAULTS = {
-    SYSTEM_PROMPT: 'You are a professional translator. Translate the following text to Chinese accurately and naturally, preserving the original meaning and tone. Only return the translated text, without any additional explanation or formatting.',
-    USER_MESSAGE: 'Translate: {{text}}\n\nContext:\nPrevious sentence: {{previousSentence}}\nNext sentence: {{nextSentence}}',
-    PROVIDERS: {
-        openai: {
-            baseUrl: 'https://api.openai.com',
-            model: 'gpt-4'
-        },
-        gemini: {
-            baseUrl: 'https://generativelanguage.googleapis.com',
-            model: 'gemini-2.0-flash'
-        }
-    }
+    SYSTEM_PROMPT: 'You are a professional translator. Translate the following text from {{sourceLanguage}} to {{targetLanguage}} accurately and naturally, preserving the original meaning and tone. Only return the translated text, without any additional explanation or formatting.',
+    USER_MESSAGE: 'Translate: {{text}}\n\nContext:\nPrevious sentence: {{previousSentence}}\nNext sentence: {{nextSentence}}\n\nGlossary (always use these translations):\n{{glossary}}',
+    PAGE_SYSTEM_PROMPT: 'You are a professional translator. The user sends a JSON array of paragraphs from one web page. Translate each paragraph from {{sourceLanguage}} to {{targetLanguage}} accurately and naturally, using the other paragraphs as context. Return only a JSON array of translated strings with exactly the same number of items in the same order, without any additional explanation or formatting.',
+    EXPLAIN_SYSTEM_PROMPT: 'You are a bilingual dictionary. Explain the word or phrase the user sends, as used in its context, for a reader of {{targetLanguage}}. The source language is {{sourceLanguage}}. Return only a JSON object with these keys: "translation" (the best translation in context), "partOfSpeech", "pronunciation" (IPA, or pinyin for Chinese, or romaji for Japanese), "definition" (the meaning in this context, written in {{targetLanguage}}), "alternatives" (an array of other meanings in {{targetLanguage}}), "examples" (an array of up to 3 objects with "sentence" in the source language and "translation" in {{targetLanguage}}). Use an empty string or empty array when a field does not apply. Do not add any text outside the JSON object.',
+    EXPLAIN_USER_MESSAGE: 'Explain: {{text}}\n\nIt appears in this paragraph:\n{{paragraph}}',
+    SOURCE_LANGUAGE: 'auto',
+    TARGET_LANGUAGE: 'zh-CN',
+    REPLACE_TARGET_LANGUAGE: 'en',
+    CONTEXT_MODE: 'sentences',
+    CONTEXT_SENTENCES: 1,
+    SELECTION_BUTTON_DELAY: 300,
+    TTS_RATE: 1
 };
+
+// Languages offered for source/target selection and the "Translate to…" menu
+export const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'zh-CN', name: 'Chinese (Simplified)' },
+    { code: 'zh-TW', name: 'Chinese (Traditional)' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'it', name: 'Italian' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'uk', name: 'Ukrainian' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'tr', name: 'Turkish' },
+    { code: 'ar', name: 'Arabic' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'th', name: 'Thai' },
+    { code: 'vi', name: 'Vietnamese' },
+    { code: 'id', name: 'Indonesian' }
+];
+
+/**
+ * Get the English name of a language code, or the code itself if unknown
+ */
+export function getLanguageName(code) {
+    return LANGUAGES.find(language => language.code === code)?.name || code;
+}
@@ -6,7 +6,7 @@
  */
 const ABBREVIATIONS = [
   'Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'Sr', 'Jr',
-  'vs', 'etc', 'viz', 'al', 'eg', 'ie', 'cf',
+  'vs', 'etc', 'viz', 'al', 'e.g', 'i.e', 'cf',
   'approx', 'appt', 'apt', 'dept', 'est', 'min', 'max',
   'misc', 'no', 'nos', 'vol', 'vols', 'rev', 'pp', 'pg',
   'Jan', 'Feb', 'Mar', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec',
@@ -15,14 +15,132 @@ const ABBREVIATIONS = [
   'U', 'S', 'A', 'E', 'G', 'I'  // For U.S., U.K., e.g., i.e., etc.
 ];
 
+/**
+ * Block-level elements treated as paragraphs when looking for context
+ * and when translating a whole page.
+ */
+const BLOCK_ELEMENTS = ['P', 'DIV', 'ARTICLE', 'SECTION', 'MAIN', 'LI', 'TD', 'TH', 'BLOCKQUOTE'];
+
+/**
+ * Abbreviations for other languages, keyed by primary language subtag.
+ * English uses ABBREVIATIONS. Only the final dot is left out, so "z.B." is
+ * listed as "z.B" and "s.o." cannot match the word "so". Abbreviations that
+ * are also ordinary words, such as Polish "ok.", are not listed.
+ */
+const LANGUAGE_ABBREVIATIONS = {
+  de: [
+    'bzw', 'evtl', 'ggf', 'inkl', 'usw', 'vgl', 'z.B', 'd.h', 'u.a', 'u.ä', 'v.a', 's.o', 'sog',
+    'Nr', 'Hr', 'Fr', 'Dr', 'Prof', 'St', 'Str', 'Jh', 'Jhd', 'Mio', 'Mrd', 'Abs', 'Abb', 'Bd', 'Tel'
+  ],
+  fr: ['M', 'MM', 'Mme', 'Mmes', 'Mlle', 'Dr', 'Pr', 'Me', 'etc', 'cf', 'env', 'av', 'apr', 'J.-C', 'p', 'pp', 'vol', 'chap', 'tél'],
+  es: ['Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Ud', 'Uds', 'Vd', 'etc', 'pág', 'págs', 'aprox', 'núm', 'Av', 'Avda', 'Dña', 'EE.UU'],
+  it: ['Sig', 'Sigg', 'Sig.ra', 'Dott', 'Dott.ssa', 'Prof', 'Avv', 'Ing', 'ecc', 'pag', 'pagg', 'cfr'],
+  pt: ['Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Prof', 'Profa', 'etc', 'pág', 'págs', 'Av', 'aprox', 'nº', 'tel'],
+  nl: ['dhr', 'mevr', 'mr', 'dr', 'prof', 'bijv', 'b.v', 'enz', 'nl', 'blz', 'nr', 'resp', 'mw'],
+  ru: ['т', 'е', 'г', 'гг', 'др', 'пр', 'см', 'стр', 'тыс', 'млн', 'млрд', 'руб', 'коп', 'ул', 'проф', 'акад'],
+  uk: ['т', 'п', 'р', 'с', 'вул', 'ім', 'див', 'тис', 'млн', 'млрд', 'грн', 'проф', 'акад'],
+  pl: ['np', 'tzn', 'itp', 'itd', 'tj', 'prof', 'dr', 'inż', 'ul', 'al', 'nr', 'godz', 'r', 'św', 'ds', 'wg']
+};
+
+/**
+ * Full-width terminators end a sentence without a following space
+ */
+const FULL_WIDTH_TERMINATORS = /[。！？]/;
+
+// Lowercased abbreviation sets, built on first use per language
+const abbreviationSets = new Map();
+
+/**
+ * Gets the abbreviation set for a language tag, falling back to English
+ *
+ * @param {string} language - BCP 47 language tag, e.g. "de-AT"
+ * @returns {Set<string>} Lowercased abbreviations without their final dot
+ */
+function getAbbreviations(language) {
+  const primary = getPrimaryLanguage(language);
+  const key = LANGUAGE_ABBREVIATIONS[primary] ? primary : 'en';
+
+  if (!abbreviationSets.has(key)) {
+    const list = LANGUAGE_ABBREVIATIONS[key] || ABBREVIATIONS;
+    abbreviationSets.set(key, new Set(list.map(abbr => abbr.toLowerCase())));
+  }
+  return abbreviationSets.get(key);
+}
+
+function getPrimaryLanguage(language) {
+  return (language || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Checks whether text ends in an abbreviation rather than a full stop,
+ * e.g. "Dr.", "z.B." or single letters such as "U.S." and "e.g.".
+ *
+ * @param {string} text - Sentence text ending with a period
+ * @param {string} language - BCP 47 language tag
+ * @returns {boolean} True if the final period belongs to an abbreviation
+ */
+function endsWithAbbreviation(text, language) {
+  const match = text.match(/(\S+)\.$/);
+  if (!match) {
+    return false;
+  }
+
+  // Drop opening brackets and quotes, e.g. "(vgl."
+  const word = match[1].replace(/^[^\p{L}\p{N}]+/u, '');
+  if (!word) {
+    return false;
+  }
+
+  // Check for single letter abbreviation like "U.S." or "e.g."
+  const lastPart = word.split('.').pop();
+  if (lastPart.length === 1 && /\p{L}/u.test(lastPart)) {
+    return true;
+  }
+
+  return getAbbreviations(language).has(word.toLowerCase());
+}
+
+/**
+ * Guesses the language of a block of text. The nearest lang attribute wins
+ * unless the text is plainly written in another script.
+ *
+ * @param {string} text - The text to inspect
+ * @param {Element|null} element - Element the text comes from
+ * @returns {string} BCP 47 language tag
+ */
+function detectTextLanguage(text, element) {
+  const declared = (element?.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang || '').trim();
+  const primary = getPrimaryLanguage(declared);
+
+  let scriptLanguage = null;
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) {
+    scriptLanguage = 'ja';
+  } else if (/\p{Script=Hangul}/u.test(text)) {
+    scriptLanguage = 'ko';
+  } else if (/\p{Script=Han}/u.test(text)) {
+    // Kanji-only Japanese text is indistinguishable from Chinese
+    scriptLanguage = primary === 'ja' ? 'ja' : 'zh';
+  } else if (/\p{Script=Thai}/u.test(text)) {
+    scriptLanguage = 'th';
+  }
+
+  if (scriptLanguage && scriptLanguage !== primary) {
+    return scriptLanguage;
+  }
+  return declared || 'en';
+}
+
 /**
  * Splits text into sentences using intelligent boundary detection.
- * Handles abbreviations, decimal numbers, and ellipses.
+ * Uses Intl.Segmenter for the given language where available and falls
+ * back to punctuation rules otherwise. Handles abbreviations, decimal
+ * numbers, ellipses and full-width CJK punctuation.
  * 
  * @param {string} text - The text to split into sentences
+ * @param {string} [language='en'] - BCP 47 language tag of the text
  * @returns {string[]} Array of sentences
  */
-function splitIntoSentences(text) {
+function splitIntoSentences(text, language = 'en') {
   if (!text || typeof text !== 'string') {
     return [];
   }
@@ -34,94 +152,117 @@ function splitIntoSentences(text) {
     return [];
   }
 
-  // Create abbreviation pattern
-  const abbrPattern = ABBREVIATIONS.join('|');
+  const segments = segmentSentences(text, language) || splitWithRules(text, language);
+
+  // The segmenter does not know most abbreviations, so rejoin
+  // sentences that were split right after one
+  const sentences = [];
+  for (const segment of segments) {
+    const sentence = segment.trim();
+    const previous = sentences[sentences.length - 1];
+
+    if (previous && endsWithAbbreviation(previous, language)) {
+      sentences[sentences.length - 1] = `${previous} ${sentence}`;
+    } else {
+      sentences.push(sentence);
+    }
+  }
+
+  return sentences.filter(s => s.length > 0);
+}
+
+/**
+ * Splits text with Intl.Segmenter.
+ *
+ * @returns {string[]|null} Sentence segments, or null if unsupported
+ */
+function segmentSentences(text, language) {
+  if (typeof Intl.Segmenter !== 'function') {
+    return null;
+  }
+
+  let segmenter;
+  try {
+    segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+  } catch {
+    // Invalid lang attribute, use the browser's default locale
+    segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  }
+
+  return Array.from(segmenter.segment(text), ({ segment }) => segment);
+}
 
-  // Regex to match sentence boundaries:
-  // - Matches . ? ! followed by whitespace and an uppercase letter
-  // - Uses negative lookbehind to avoid splitting after abbreviations
-  // - Handles ellipsis (...) by not splitting on them
+/**
+ * Rule-based fallback for browsers without Intl.Segmenter.
+ * A sentence ends at . ? ! … and their Arabic and Devanagari counterparts
+ * when followed by a space and a character that is not lowercase, or at
+ * full-width 。！？ even without a space.
+ *
+ * @returns {string[]} Sentence segments
+ */
+function splitWithRules(text, language) {
+  // Thai has no sentence punctuation; spaces separate sentences and clauses
+  if (getPrimaryLanguage(language) === 'th') {
+    return text.split(' ');
+  }
 
   const sentences = [];
-  let currentSentence = '';
-  let i = 0;
-
-  while (i < text.length) {
-    const char = text[i];
-    currentSentence += char;
-
-    // Check if this could be a sentence ending
-    if (char === '.' || char === '?' || char === '!') {
-      // Look ahead: is there whitespace followed by an uppercase letter?
-      const remaining = text.slice(i + 1);
-      const lookAhead = remaining.match(/^\s+([A-Z])/);
-
-      if (lookAhead) {
-        // Check if this period is part of an abbreviation
-        const beforePeriod = currentSentence.slice(0, -1);
-        const lastWord = beforePeriod.split(/\s+/).pop() || '';
-
-        // Check for ellipsis
-        const isEllipsis = text.slice(i - 2, i + 1) === '...';
-
-        // Check for decimal number (e.g., 3.14)
-        const isDecimal = /\d$/.test(beforePeriod) && /^\d/.test(remaining.trim());
-
-        // Check for abbreviation
-        const isAbbreviation = ABBREVIATIONS.some(abbr =>
-          lastWord.toLowerCase() === abbr.toLowerCase() ||
-          lastWord.toUpperCase() === abbr.toUpperCase()
-        );
-
-        // Check for single letter abbreviation like "U.S." or "e.g."
-        const isSingleLetterAbbr = lastWord.length === 1 && /[A-Za-z]/.test(lastWord);
-
-        if (!isEllipsis && !isDecimal && !isAbbreviation && !isSingleLetterAbbr && char !== '.') {
-          // This is a real sentence boundary (for ? and !)
-          sentences.push(currentSentence.trim());
-          currentSentence = '';
-          // Skip the whitespace
-          i++;
-          while (i < text.length && /\s/.test(text[i])) {
-            i++;
-          }
-          continue;
-        } else if (!isEllipsis && !isDecimal && !isAbbreviation && !isSingleLetterAbbr) {
-          // Period - check more carefully
-          // Only split if we have a clear sentence boundary
-          sentences.push(currentSentence.trim());
-          currentSentence = '';
-          // Skip the whitespace
-          i++;
-          while (i < text.length && /\s/.test(text[i])) {
-            i++;
-          }
-          continue;
-        }
+  const terminator = /[.?!…。！？؟।]+["'”’»」』）)\]]*/g;
+  let start = 0;
+  let match;
+
+  while ((match = terminator.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const remaining = text.slice(end);
+
+    if (!FULL_WIDTH_TERMINATORS.test(match[0])) {
+      // Look ahead: is there whitespace followed by a sentence start?
+      const lookAhead = remaining.match(/^\s+(\S)/);
+      if (!lookAhead || /\p{Ll}/u.test(lookAhead[1])) {
+        continue;
+      }
+
+      // Check for ellipsis
+      const isEllipsis = /^(\.{3}|…)/.test(match[0]);
+
+      // Check for abbreviation
+      const isAbbreviation = match[0] === '.' && endsWithAbbreviation(text.slice(start, end), language);
+
+      if (isEllipsis || isAbbreviation) {
+        continue;
       }
     }
 
-    i++;
+    sentences.push(text.slice(start, end).trim());
+    start = end;
   }
 
   // Add remaining text as last sentence
-  if (currentSentence.trim()) {
-    sentences.push(currentSentence.trim());
+  if (start < text.length) {
+    sentences.push(text.slice(start).trim());
   }
 
-  return sentences.filter(s => s.length > 0);
+  return sentences;
 }
 
 /**
- * Gets the text content around the current selection.
- * Traverses the DOM to find surrounding text.
- * 
- * @returns {string} The surrounding text content
+ * Context sent with each side of the selection is capped so that a
+ * whole-paragraph window on a huge block does not blow up the prompt.
+ */
+const CONTEXT_MAX_CHARS = 2000;
+
+/**
+ * Finds the block-level element that contains the current selection.
+ * A site rule can name the paragraph elements to use, and a content root
+ * that the walk up the tree does not leave.
+ *
+ * @param {Object|null} [rule] - The site rule for this page
+ * @returns {Element|null} The paragraph-like element around the selection
  */
-function getSurroundingText() {
+function getSelectionBlock(rule = null) {
   const selection = window.getSelection();
   if (!selection || selection.rangeCount === 0) {
-    return '';
+    return null;
   }
 
   const range = selection.getRangeAt(0);
@@ -134,12 +275,17 @@ function getSurroundingText() {
     container = container.parentElement;
   }
 
+  const root = findClosest(container, rule?.contentSelector);
+  const paragraph = findClosest(container, rule?.paragraphSelector);
+  if (paragraph && (!root || root.contains(paragraph))) {
+    return paragraph;
+  }
+
   // Walk up to find a reasonable block-level parent
   // (paragraph, div, article, section, etc.)
-  const blockElements = ['P', 'DIV', 'ARTICLE', 'SECTION', 'MAIN', 'LI', 'TD', 'TH', 'BLOCKQUOTE'];
   let blockParent = container;
 
-  while (blockParent && !blockElements.includes(blockParent.tagName)) {
+  while (blockParent && blockParent !== root && !BLOCK_ELEMENTS.includes(blockParent.tagName)) {
     if (blockParent.parentElement) {
       blockParent = blockParent.parentElement;
     } else {
@@ -152,8 +298,50 @@ function getSurroundingText() {
     blockParent = container;
   }
 
-  // Get all text content from the block parent
-  return blockParent.textContent || '';
+  return blockParent;
+}
+
+/**
+ * Closest ancestor-or-self matching a selector from a site rule.
+ * Rules are written by hand, so an invalid selector matches nothing.
+ *
+ * @returns {Element|null}
+ */
+function findClosest(element, selector) {
+  if (!selector) {
+    return null;
+  }
+  try {
+    return element.closest(selector);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the last heading that comes before (or contains) the given element
+ * in document order.
+ *
+ * @param {Element|null} element - The block around the selection
+ * @returns {string|null} The heading text, or null if there is none
+ */
+function findNearestHeading(element) {
+  if (!element) {
+    return null;
+  }
+
+  let nearest = null;
+
+  for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+    // Headings are returned in document order, so stop at the first one after the element
+    if (heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      nearest = heading;
+    } else {
+      break;
+    }
+  }
+
+  return nearest ? nearest.textContent.replace(/\s+/g, ' ').trim() || null : null;
 }
 
 /**
@@ -161,10 +349,15 @@ function getSurroundingText() {
  * 
  * @param {string} selectedText - The text that was selected
  * @param {string} surroundingText - The surrounding paragraph/block text
+ * @param {Object} [options] - Context window
+ * @param {string} [options.mode='sentences'] - 'sentences' for a fixed window, 'paragraph' for the whole block
+ * @param {number} [options.sentences=1] - Sentences to include on each side in 'sentences' mode
+ * @param {string} [options.language='en'] - BCP 47 language tag used for segmentation
  * @returns {Object} Object containing previousSentence, selectedSentence, nextSentence
  */
-function findContextSentences(selectedText, surroundingText) {
-  const sentences = splitIntoSentences(surroundingText);
+function findContextSentences(selectedText, surroundingText, options = {}) {
+  const language = options.language || 'en';
+  const sentences = splitIntoSentences(surroundingText, language);
 
   if (sentences.length === 0) {
     return {
@@ -204,21 +397,99 @@ function findContextSentences(selectedText, surroundingText) {
     }
   }
 
+  if (selectedIndex === -1) {
+    return {
+      previousSentence: null,
+      selectedSentence: selectedText,
+      nextSentence: null
+    };
+  }
+
+  // The whole paragraph uses every sentence on each side
+  const count = options.mode === 'paragraph'
+    ? sentences.length
+    : Math.max(1, Number(options.sentences) || 1);
+
+  // Chinese and Japanese sentences are written without spaces between them
+  const separator = ['zh', 'ja'].includes(getPrimaryLanguage(language)) ? '' : ' ';
+
+  const before = sentences.slice(Math.max(0, selectedIndex - count), selectedIndex);
+  const after = sentences.slice(selectedIndex + 1, selectedIndex + 1 + count);
+
   return {
-    previousSentence: selectedIndex > 0 ? sentences[selectedIndex - 1] : null,
-    selectedSentence: selectedIndex >= 0 ? sentences[selectedIndex] : selectedText,
-    nextSentence: selectedIndex >= 0 && selectedIndex < sentences.length - 1
-      ? sentences[selectedIndex + 1]
-      : null
+    previousSentence: joinContext(before, 'end', separator),
+    selectedSentence: sentences[selectedIndex],
+    nextSentence: joinContext(after, 'start', separator)
   };
 }
 
+/**
+ * Joins context sentences, dropping those farthest from the selection
+ * once CONTEXT_MAX_CHARS is reached.
+ *
+ * @param {string[]} sentences - Sentences in document order
+ * @param {string} keep - 'end' keeps the sentences nearest the end, 'start' those nearest the start
+ * @param {string} separator - Text placed between sentences
+ * @returns {string|null} The joined text, or null if empty
+ */
+function joinContext(sentences, keep, separator) {
+  const ordered = keep === 'end' ? [...sentences].reverse() : sentences;
+  const kept = [];
+  let length = 0;
+
+  for (const sentence of ordered) {
+    if (kept.length > 0 && length + sentence.length > CONTEXT_MAX_CHARS) {
+      break;
+    }
+    kept.push(sentence);
+    length += sentence.length + 1;
+  }
+
+  if (keep === 'end') {
+    kept.reverse();
+  }
+  return kept.join(separator) || null;
+}
+
+/**
+ * The site rule matching this page, if any. Rules are matched by the service
+ * worker and fetched again whenever they change.
+ */
+let siteRule = null;
+
+function loadSiteRule() {
+  chrome.runtime.sendMessage({ action: 'getSiteRule' })
+    .then((response) => {
+      siteRule = response?.rule || null;
+    })
+    .catch(() => {
+      // The extension was reloaded and this page's scripts are orphaned
+    });
+}
+
+loadSiteRule();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.siteRules) {
+    loadSiteRule();
+  }
+});
+
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'extractContext') {
+    // Sites turned off by a rule are left alone; an empty response skips translation
+    if (siteRule?.disabled) {
+      sendResponse(null);
+      return;
+    }
+
     const selectedText = message.selectionText || window.getSelection()?.toString() || '';
-    const surroundingText = getSurroundingText();
-    const context = findContextSentences(selectedText, surroundingText);
+    const block = getSelectionBlock(siteRule);
+    const surroundingText = block?.textContent || '';
+    const context = findContextSentences(selectedText, surroundingText, {
+      ...message.contextOptions,
+      language: detectTextLanguage(surroundingText, block)
+    });
 
     // Log to console for debugging
     console.log('='.repeat(60));
@@ -236,263 +507,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       selectedText,
       previousSentence: context.previousSentence,
       selectedSentence: context.selectedSentence,
-      nextSentence: context.nextSentence
+      nextSentence: context.nextSentence,
+      paragraph: surroundingText.replace(/\s+/g, ' ').trim().slice(0, CONTEXT_MAX_CHARS) || null,
+      nearestHeading: findNearestHeading(block),
+      pageLanguage: document.documentElement.lang || null,
+      pageUrl: location.href,
+      pageTitle: document.title,
+      // Results for this selection are shown in a card next to it
+      cardId: reserveResultCard()
     });
   }
-
-  if (message.action === 'showTranslationResult') {
-    showTranslationPopup(message);
-  }
-
-  // Return true to indicate we'll send response asynchronously
-  return true;
 });
 
-/**
- * Shows a floating popup with the translation result
- */
-function showTranslationPopup(data) {
-  // Remove any existing popup
-  const existingPopup = document.getElementById('deep-translate-popup');
-  if (existingPopup) {
-    existingPopup.remove();
-  }
-
-  // Create popup container
-  const popup = document.createElement('div');
-  popup.id = 'deep-translate-popup';
-  popup.innerHTML = `
-    <style>
-      #deep-translate-popup {
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        width: 380px;
-        max-height: 400px;
-        background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
-        border: 1px solid rgba(59, 130, 246, 0.3);
-        border-radius: 12px;
-        box-shadow: 0 20px 40px rgba(0, 0, 0, 0.4);
-        font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
-        color: #f8fafc;
-        z-index: 2147483647;
-        overflow: hidden;
-        animation: slideIn 0.3s ease;
-      }
-      
-      @keyframes slideIn {
-        from {
-          opacity: 0;
-          transform: translateX(20px);
-        }
-        to {
-          opacity: 1;
-          transform: translateX(0);
-        }
-      }
-      
-      #deep-translate-popup .popup-header {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 14px 16px;
-        background: rgba(59, 130, 246, 0.1);
-        border-bottom: 1px solid rgba(59, 130, 246, 0.2);
-      }
-      
-      #deep-translate-popup .popup-title {
-        font-size: 14px;
-        font-weight: 600;
-        background: linear-gradient(135deg, #3b82f6, #8b5cf6);
-        -webkit-background-clip: text;
-        -webkit-text-fill-color: transparent;
-        background-clip: text;
-        margin: 0;
-      }
-      
-      #deep-translate-popup .popup-close {
-        background: none;
-        border: none;
-        color: #94a3b8;
-        cursor: pointer;
-        font-size: 18px;
-        padding: 4px 8px;
-        border-radius: 4px;
-        transition: all 0.2s;
-      }
-      
-      #deep-translate-popup .popup-close:hover {
-        background: rgba(239, 68, 68, 0.2);
-        color: #ef4444;
-      }
-      
-      #deep-translate-popup .popup-content {
-        padding: 16px;
-        max-height: 320px;
-        overflow-y: auto;
-      }
-      
-      #deep-translate-popup .section {
-        margin-bottom: 14px;
-      }
-      
-      #deep-translate-popup .section:last-child {
-        margin-bottom: 0;
-      }
-      
-      #deep-translate-popup .section-label {
-        font-size: 10px;
-        text-transform: uppercase;
-        letter-spacing: 0.5px;
-        color: #64748b;
-        margin-bottom: 6px;
-      }
-      
-      #deep-translate-popup .section-text {
-        font-size: 14px;
-        line-height: 1.6;
-        color: #e2e8f0;
-        padding: 10px 12px;
-        background: rgba(30, 41, 59, 0.8);
-        border-radius: 8px;
-        border: 1px solid rgba(148, 163, 184, 0.1);
-      }
-      
-      #deep-translate-popup .translation-text {
-        background: rgba(59, 130, 246, 0.1);
-        border-color: rgba(59, 130, 246, 0.2);
-      }
-      
-      #deep-translate-popup .loading {
-        display: flex;
-        align-items: center;
-        gap: 10px;
-        padding: 20px;
-        color: #94a3b8;
-      }
-      
-      #deep-translate-popup .spinner {
-        width: 20px;
-        height: 20px;
-        border: 2px solid rgba(59, 130, 246, 0.3);
-        border-top-color: #3b82f6;
-        border-radius: 50%;
-        animation: spin 0.8s linear infinite;
-      }
-      
-      @keyframes spin {
-        to { transform: rotate(360deg); }
-      }
-      
-      #deep-translate-popup .error {
-        padding: 16px;
-        background: rgba(239, 68, 68, 0.1);
-        border: 1px solid rgba(239, 68, 68, 0.3);
-        border-radius: 8px;
-        color: #fca5a5;
-        font-size: 13px;
-      }
-      
-      #deep-translate-popup .copy-btn {
-        margin-top: 12px;
-        width: 100%;
-        padding: 10px;
-        background: linear-gradient(135deg, #3b82f6, #8b5cf6);
-        border: none;
-        border-radius: 8px;
-        color: white;
-        font-size: 13px;
-        font-weight: 500;
-        cursor: pointer;
-        transition: all 0.2s;
-      }
-      
-      #deep-translate-popup .copy-btn:hover {
-        filter: brightness(1.1);
-        transform: translateY(-1px);
-      }
-      
-      #deep-translate-popup .copy-btn.copied {
-        background: #22c55e;
-      }
-    </style>
-    
-    <div class="popup-header">
-      <span class="popup-title">Vibe Translate</span>
-      <button class="popup-close" title="Close">&times;</button>
-    </div>
-    <div class="popup-content">
-      ${getPopupContent(data)}
-    </div>
-  `;
-
-  document.body.appendChild(popup);
-
-  // Add close button handler
-  popup.querySelector('.popup-close').addEventListener('click', () => {
-    popup.remove();
-  });
-
-  // Add copy button handler if translation exists
-  const copyBtn = popup.querySelector('.copy-btn');
-  if (copyBtn && data.translation) {
-    copyBtn.addEventListener('click', () => {
-      navigator.clipboard.writeText(data.translation).then(() => {
-        copyBtn.textContent = '✓ Copied!';
-        copyBtn.classList.add('copied');
-        setTimeout(() => {
-          copyBtn.textContent = 'Copy Translation';
-          copyBtn.classList.remove('copied');
-        }, 2000);
-      });
-    });
-  }
-
-  // Auto-close on click outside
-  setTimeout(() => {
-    document.addEventListener('click', function closePopup(e) {
-      if (!popup.contains(e.target)) {
-        popup.remove();
-        document.removeEventListener('click', closePopup);
-      }
-    });
-  }, 100);
-}
-
-/**
- * Generate popup content based on data state
- */
-function getPopupContent(data) {
-  if (data.loading) {
-    return `
-      <div class="loading">
-        <div class="spinner"></div>
-        <span>Translating...</span>
-      </div>
-    `;
-  }
-
-  if (data.error) {
-    return `
-      <div class="error">
-        <strong>Error:</strong> ${escapeHtml(data.error)}
-      </div>
-    `;
-  }
-
-  return `
-    <div class="section">
-      <div class="section-label">Original</div>
-      <div class="section-text">${escapeHtml(data.originalText || '')}</div>
-    </div>
-    <div class="section">
-      <div class="section-label">Translation</div>
-      <div class="section-text translation-text">${escapeHtml(data.translation || '')}</div>
-    </div>
-    <button class="copy-btn">Copy Translation</button>
-  `;
-}
-
 /**
  * Escape HTML to prevent XSS
  */
@@ -0,0 +1,87 @@
+// Vibe Translate - IndexedDB Access
+// One database shared by the service worker and the extension pages
+
+const DB_NAME = 'vibe-translate';
+const DB_VERSION = 5;
+
+let databasePromise = null;
+
+/**
+ * Open (and create or upgrade) the extension database once per context
+ */
+export function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Create the object stores added in each schema version
+ */
+function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+        const cache = db.createObjectStore('cache', { keyPath: 'key' });
+        cache.createIndex('lastAccess', 'lastAccess');
+    }
+
+    if (oldVersion < 2) {
+        const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        history.createIndex('timestamp', 'timestamp');
+    }
+
+    if (oldVersion < 3) {
+        const vocabulary = db.createObjectStore('vocabulary', { keyPath: 'id', autoIncrement: true });
+        vocabulary.createIndex('term', 'termKey');
+        vocabulary.createIndex('due', 'due');
+    }
+
+    if (oldVersion < 4) {
+        const glossary = db.createObjectStore('glossary', { keyPath: 'id', autoIncrement: true });
+        glossary.createIndex('targetLanguage', 'targetLanguage');
+    }
+
+    if (oldVersion < 5) {
+        const usage = db.createObjectStore('usage', { keyPath: 'id', autoIncrement: true });
+        usage.createIndex('timestamp', 'timestamp');
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run callback against an object store and resolve with its result
+ * once the transaction has committed.
+ */
+export async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+
+        Promise.resolve(callback(transaction.objectStore(storeName)))
+            .then(value => { result = value; })
+            .catch(error => {
+                transaction.abort();
+                reject(error);
+            });
+    });
+}
@@ -0,0 +1,26 @@
+// Vibe Translate - Helpers shared by the extension pages
+// (settings, glossary, history and vocabulary)
+
+/**
+ * Escape HTML, including quotes since values are also used in attributes
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Save content as a file through the browser's download prompt
+ */
+export function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,321 @@
+// Vibe Translate - Translate and replace in editable fields
+// Loaded after content.js and result-card.js and shares their globals
+// (escapeHtml, showTranslationPopup, siteRule).
+
+/**
+ * How long the "Translated · Undo" notice stays on screen
+ */
+const EDITABLE_UNDO_TIMEOUT = 8000;
+
+// The last replacement, kept so the notice's Undo button can revert it
+let lastReplacement = null;
+
+// The notice shown next to the field while translating and after replacing
+let editableNotice = null;
+
+/**
+ * Translates the selected text in the focused field, or all of its text if
+ * nothing is selected, and writes the translation back in its place.
+ */
+async function translateEditable() {
+  const target = getEditableTarget();
+  if (!target) {
+    showTranslationPopup({ error: 'Click into a text field or editor first, then try again.' });
+    return;
+  }
+
+  const text = target.getText();
+  if (!text.trim()) {
+    return;
+  }
+
+  showEditableNotice(target.element, 'Translating…');
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      action: 'translateReplacement',
+      text: text,
+      pageUrl: location.href,
+      pageTitle: document.title
+    });
+  } catch (error) {
+    response = { error: error.message };
+  }
+
+  if (response?.error) {
+    showEditableNotice(target.element, response.error, { error: true });
+    return;
+  }
+
+  lastReplacement = target.replace(response.translation);
+  showEditableNotice(target.element, 'Translated', { undo: true });
+}
+
+/**
+ * Finds the focused input, textarea or contenteditable element, looking
+ * inside open shadow roots, and wraps it with read and replace helpers.
+ *
+ * @returns {Object|null} `{ element, getText(), replace(text) }`, or null
+ */
+function getEditableTarget() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+
+  if (!element) {
+    return null;
+  }
+
+  if (isTextField(element)) {
+    return getTextFieldTarget(element);
+  }
+
+  if (element.isContentEditable) {
+    return getContentEditableTarget(element);
+  }
+
+  return null;
+}
+
+/**
+ * Inputs and textareas that expose a text selection (not email or number)
+ */
+function isTextField(element) {
+  if (element.readOnly || element.disabled) {
+    return false;
+  }
+  if (element instanceof HTMLTextAreaElement) {
+    return true;
+  }
+  return element instanceof HTMLInputElement && element.selectionStart !== null;
+}
+
+function getTextFieldTarget(element) {
+  let start = element.selectionStart;
+  let end = element.selectionEnd;
+
+  // Without a selection the whole field is translated
+  if (start === end) {
+    start = 0;
+    end = element.value.length;
+  }
+
+  return {
+    element,
+    getText: () => element.value.slice(start, end),
+    replace(translation) {
+      const before = element.value;
+      element.focus();
+      element.setSelectionRange(start, end);
+
+      // execCommand keeps the browser's own undo stack and fires input events
+      const native = document.execCommand('insertText', false, translation);
+      if (!native || element.value === before) {
+        setNativeValue(element, before.slice(0, start) + translation + before.slice(end));
+        element.setSelectionRange(start, start + translation.length);
+      }
+
+      return { element, native, before, after: element.value };
+    }
+  };
+}
+
+function getContentEditableTarget(element) {
+  // Edit within the whole editing host, not just the focused child
+  let host = element;
+  while (host.parentElement?.isContentEditable) {
+    host = host.parentElement;
+  }
+
+  const selection = window.getSelection();
+  let range = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+
+  // Without a selection inside the editor the whole editor is translated
+  if (!range || range.collapsed || !host.contains(range.commonAncestorContainer)) {
+    range = document.createRange();
+    range.selectNodeContents(host);
+  }
+
+  const selectRange = () => {
+    host.focus();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  };
+
+  return {
+    element: host,
+    getText() {
+      // Selection text keeps the line breaks between blocks
+      selectRange();
+      return selection.toString();
+    },
+    replace(translation) {
+      const before = host.innerHTML;
+      selectRange();
+
+      const native = document.execCommand('insertText', false, translation);
+      if (!native || host.innerHTML === before) {
+        range.deleteContents();
+        range.insertNode(document.createTextNode(translation));
+        host.dispatchEvent(new InputEvent('input', {
+          bubbles: true,
+          inputType: 'insertReplacementText',
+          data: translation
+        }));
+      }
+
+      return { element: host, native, before, after: host.innerHTML };
+    }
+  };
+}
+
+/**
+ * Set an input's value through the prototype setter so frameworks that track
+ * the value themselves (React) notice the change, then fire input and change.
+ */
+function setNativeValue(element, value) {
+  const prototype = element instanceof HTMLTextAreaElement
+    ? HTMLTextAreaElement.prototype
+    : HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, value);
+
+  element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Reverts the last replacement if the field has not been edited since
+ */
+function undoEditableReplacement() {
+  const replacement = lastReplacement;
+  lastReplacement = null;
+  if (!replacement) {
+    return;
+  }
+
+  const { element, native, before, after } = replacement;
+  const isField = element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement;
+  const current = isField ? element.value : element.innerHTML;
+  if (current !== after) {
+    return;
+  }
+
+  element.focus();
+  if (native && document.execCommand('undo')) {
+    return;
+  }
+
+  if (isField) {
+    setNativeValue(element, before);
+  } else {
+    element.innerHTML = before;
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'historyUndo' }));
+  }
+}
+
+/**
+ * Shows a small notice under the field. With `undo`, it offers to revert the
+ * replacement; it hides itself after a while unless translation is running.
+ */
+function showEditableNotice(field, message, { error = false, undo = false } = {}) {
+  hideEditableNotice();
+
+  const host = document.createElement('div');
+  host.setAttribute('data-vibe-translate-ui', '');
+  host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>
+      :host {
+        --notice-bg: #1e293b;
+        --notice-text: #f8fafc;
+        --notice-border: rgba(59, 130, 246, 0.3);
+        --notice-error: #fca5a5;
+      }
+
+      @media (prefers-color-scheme: light) {
+        :host {
+          --notice-bg: #ffffff;
+          --notice-text: #0f172a;
+          --notice-border: rgba(59, 130, 246, 0.35);
+          --notice-error: #b91c1c;
+        }
+      }
+
+      .notice {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 6px 10px;
+        background: var(--notice-bg);
+        border: 1px solid var(--notice-border);
+        border-radius: 8px;
+        box-shadow: 0 8px 20px rgba(0, 0, 0, 0.25);
+        font: 12px 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+        color: var(--notice-text);
+      }
+
+      .notice.error {
+        color: var(--notice-error);
+      }
+
+      button {
+        background: none;
+        border: none;
+        padding: 0;
+        color: #3b82f6;
+        font: inherit;
+        font-weight: 600;
+        cursor: pointer;
+      }
+    </style>
+    <div class="notice${error ? ' error' : ''}">
+      <span>${escapeHtml(message)}</span>
+      ${undo ? '<button class="undo-btn">Undo</button>' : ''}
+    </div>
+  `;
+
+  root.querySelector('.undo-btn')?.addEventListener('click', () => {
+    undoEditableReplacement();
+    hideEditableNotice();
+  });
+
+  // Below the field, or above it when the field touches the bottom edge
+  const rect = field.getBoundingClientRect();
+  host.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 240))}px`;
+  if (rect.bottom + 40 < window.innerHeight) {
+    host.style.top = `${rect.bottom + 6}px`;
+  } else {
+    host.style.bottom = `${window.innerHeight - rect.top + 6}px`;
+  }
+
+  document.documentElement.appendChild(host);
+  editableNotice = { host, timer: null };
+
+  if (error || undo) {
+    editableNotice.timer = setTimeout(hideEditableNotice, EDITABLE_UNDO_TIMEOUT);
+  }
+}
+
+function hideEditableNotice() {
+  if (editableNotice) {
+    clearTimeout(editableNotice.timer);
+    editableNotice.host.remove();
+    editableNotice = null;
+  }
+}
+
+// Listen for "Translate and replace" from the context menu or shortcut
+// The reply tells the background script the message reached the page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'translateEditable') {
+    return;
+  }
+  if (!siteRule?.disabled) {
+    translateEditable();
+  }
+  sendResponse({ ok: true });
+});
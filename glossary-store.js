@@ -0,0 +1,72 @@
+// Vibe Translate - Glossary
+// Fixed term translations per language pair, injected into prompts when they
+// appear in the text being translated
+import { promisifyRequest, withStore } from './db.js';
+
+/**
+ * Entries for one target language. With a fixed source language only that
+ * pair's entries are returned; with 'auto' every source language applies.
+ */
+export async function getGlossaryEntries(sourceLanguage, targetLanguage) {
+    const entries = await withStore('glossary', 'readonly', (store) =>
+        promisifyRequest(store.index('targetLanguage').getAll(targetLanguage))
+    );
+
+    return sourceLanguage === 'auto'
+        ? entries
+        : entries.filter(entry => entry.sourceLanguage === sourceLanguage);
+}
+
+export function addGlossaryEntries(entries) {
+    return withStore('glossary', 'readwrite', (store) => {
+        entries.forEach(entry => store.add(entry));
+    });
+}
+
+export function deleteGlossaryEntries(ids) {
+    return withStore('glossary', 'readwrite', (store) => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Build a case-insensitive pattern for a term. Word boundaries are only
+ * enforced next to alphabetic scripts that separate words with spaces,
+ * so CJK terms still match inside running text.
+ */
+function termPattern(term) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const spaced = /[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{N}]/u;
+    const before = spaced.test(term.trim().at(0)) ? '(?<![\\p{L}\\p{N}])' : '';
+    const after = spaced.test(term.trim().at(-1)) ? '(?![\\p{L}\\p{N}])' : '';
+    return new RegExp(before + escaped + after, 'iu');
+}
+
+/**
+ * Entries whose source term occurs in the text
+ */
+export function findGlossaryMatches(entries, text) {
+    if (!text) {
+        return [];
+    }
+    return entries.filter(entry => entry.source.trim() && termPattern(entry.source).test(text));
+}
+
+/**
+ * Render matched entries for the {{glossary}} placeholder
+ */
+export function formatGlossary(matches) {
+    if (matches.length === 0) {
+        return '(none)';
+    }
+    return matches.map(entry => `- ${entry.source} → ${entry.target}`).join('\n');
+}
+
+/**
+ * Entries required by the selected text whose target term is missing from the translation
+ */
+export function findMissingGlossaryTerms(matches, selectedText, translation) {
+    const output = translation.toLowerCase();
+    return findGlossaryMatches(matches, selectedText)
+        .filter(entry => !output.includes(entry.target.trim().toLowerCase()));
+}
@@ -0,0 +1,279 @@
+// Vibe Translate Glossary Page
+import { DEFAULTS, LANGUAGES } from '../constants.js';
+import { download, escapeHtml } from '../dom-utils.js';
+import { addGlossaryEntries, deleteGlossaryEntries, getGlossaryEntries } from '../glossary-store.js';
+import { loadSettings } from '../settings.js';
+
+// DOM Elements
+const sourceLanguageSelect = document.getElementById('source-language');
+const targetLanguageSelect = document.getElementById('target-language');
+const addForm = document.getElementById('add-form');
+const sourceTermInput = document.getElementById('source-term');
+const targetTermInput = document.getElementById('target-term');
+const importFileInput = document.getElementById('import-file');
+const statusMessage = document.getElementById('status-message');
+const termList = document.getElementById('term-list');
+
+// Entries for the selected language pair
+let entries = [];
+
+for (const language of LANGUAGES) {
+  sourceLanguageSelect.add(new Option(language.name, language.code));
+  targetLanguageSelect.add(new Option(language.name, language.code));
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Start from the pair configured in settings
+  const settings = await loadSettings();
+  const targetLanguage = settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE;
+  const sourceLanguage = settings.sourceLanguage && settings.sourceLanguage !== 'auto'
+    ? settings.sourceLanguage
+    : (targetLanguage === 'en' ? 'zh-CN' : 'en');
+
+  sourceLanguageSelect.value = sourceLanguage;
+  targetLanguageSelect.value = targetLanguage;
+  await loadEntries();
+});
+
+sourceLanguageSelect.addEventListener('change', loadEntries);
+targetLanguageSelect.addEventListener('change', loadEntries);
+
+addForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  await addGlossaryEntries([createEntry(sourceTermInput.value, targetTermInput.value)]);
+  addForm.reset();
+  sourceTermInput.focus();
+  await loadEntries();
+});
+
+termList.addEventListener('click', async (e) => {
+  const button = e.target.closest('.delete-btn');
+  if (!button) {
+    return;
+  }
+
+  await deleteGlossaryEntries([Number(button.dataset.id)]);
+  await loadEntries();
+});
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    const text = await file.text();
+    const pairs = /\.(tbx|xml)$/i.test(file.name) || text.trimStart().startsWith('<')
+      ? parseTbx(text, sourceLanguageSelect.value, targetLanguageSelect.value)
+      : parseCsv(text);
+
+    // Skip terms already in the list
+    const known = new Set(entries.map(entry => entry.source.toLowerCase()));
+    const added = pairs
+      .filter(([source, target]) => source && target && !known.has(source.toLowerCase()))
+      .map(([source, target]) => createEntry(source, target));
+
+    await addGlossaryEntries(added);
+    await loadEntries();
+    showStatus(`Imported ${added.length} of ${pairs.length} terms`, 'success');
+  } catch (error) {
+    showStatus('Import failed: ' + error.message, 'error');
+  }
+});
+
+document.getElementById('export-csv').addEventListener('click', () => {
+  const escapeCell = (value) => `"${value.replace(/"/g, '""')}"`;
+  const lines = ['source,target', ...entries.map(entry => `${escapeCell(entry.source)},${escapeCell(entry.target)}`)];
+  download(`glossary-${getPairName()}.csv`, '\uFEFF' + lines.join('\r\n'), 'text/csv');
+});
+
+document.getElementById('export-tbx').addEventListener('click', () => {
+  download(`glossary-${getPairName()}.tbx`, toTbx(entries), 'application/x-tbx');
+});
+
+function createEntry(source, target) {
+  return {
+    sourceLanguage: sourceLanguageSelect.value,
+    targetLanguage: targetLanguageSelect.value,
+    source: source.trim(),
+    target: target.trim()
+  };
+}
+
+function getPairName() {
+  return `${sourceLanguageSelect.value}-${targetLanguageSelect.value}`;
+}
+
+async function loadEntries() {
+  entries = await getGlossaryEntries(sourceLanguageSelect.value, targetLanguageSelect.value);
+  entries.sort((a, b) => a.source.localeCompare(b.source));
+  render();
+}
+
+function render() {
+  if (entries.length === 0) {
+    termList.innerHTML = '<tr><td colspan="3" class="empty">No terms for this language pair</td></tr>';
+    return;
+  }
+
+  termList.innerHTML = entries.map(entry => `
+    <tr>
+      <td>${escapeHtml(entry.source)}</td>
+      <td>${escapeHtml(entry.target)}</td>
+      <td><button type="button" class="secondary-btn danger delete-btn" data-id="${entry.id}">Delete</button></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Parse two-column CSV (source, target). A "source,target" header row is skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const pairs = rows
+    .filter(cells => cells.length >= 2)
+    .map(cells => [cells[0].trim(), cells[1].trim()]);
+
+  if (pairs[0]?.[0].toLowerCase() === 'source' && pairs[0]?.[1].toLowerCase() === 'target') {
+    pairs.shift();
+  }
+  return pairs;
+}
+
+// Script subtags that stand for one of our regional Chinese codes
+const SCRIPT_REGIONS = { 'zh-hans': 'zh-cn', 'zh-hant': 'zh-tw' };
+
+/**
+ * How well a TBX language tag fits one of our language codes: 2 for the
+ * same tag (zh-Hans counts as zh-CN), 1 when the code has no region and
+ * only the primary subtag agrees (e.g. "en-US" for "en"), otherwise 0
+ */
+function languageMatch(tag, code) {
+  const normalizedTag = (tag || '').toLowerCase();
+  const normalizedCode = code.toLowerCase();
+  const scriptRegion = Object.keys(SCRIPT_REGIONS).find(script => normalizedTag.startsWith(script));
+
+  if (normalizedTag === normalizedCode || (scriptRegion && SCRIPT_REGIONS[scriptRegion] === normalizedCode)) {
+    return 2;
+  }
+  if (!normalizedCode.includes('-') && normalizedTag.split('-')[0] === normalizedCode) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Read source/target term pairs for the selected languages from a TBX file.
+ * Supports TBX 2 (termEntry/langSet/tig) and TBX 3 (conceptEntry/langSec/termSec).
+ */
+function parseTbx(text, sourceLanguage, targetLanguage) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Not a valid TBX/XML file');
+  }
+
+  const pairs = [];
+
+  for (const entry of doc.querySelectorAll('termEntry, conceptEntry')) {
+    // Keep the best-fitting term per side, so "en" beats "en-US" for English
+    const terms = {};
+    const fit = { source: 0, target: 0 };
+
+    for (const langSet of entry.querySelectorAll('langSet, langSec')) {
+      const tag = langSet.getAttribute('xml:lang') || langSet.getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang');
+      const term = langSet.querySelector('term')?.textContent.trim();
+      if (!term) {
+        continue;
+      }
+
+      const sourceFit = languageMatch(tag, sourceLanguage);
+      const targetFit = languageMatch(tag, targetLanguage);
+      if (sourceFit > fit.source && sourceFit >= targetFit) {
+        terms.source = term;
+        fit.source = sourceFit;
+      } else if (targetFit > fit.target) {
+        terms.target = term;
+        fit.target = targetFit;
+      }
+    }
+
+    if (terms.source && terms.target) {
+      pairs.push([terms.source, terms.target]);
+    }
+  }
+
+  return pairs;
+}
+
+function toTbx(rows) {
+  const source = escapeHtml(sourceLanguageSelect.value);
+  const target = escapeHtml(targetLanguageSelect.value);
+
+  const termEntries = rows.map((entry, index) => `
+      <termEntry id="t${index + 1}">
+        <langSet xml:lang="${source}"><tig><term>${escapeHtml(entry.source)}</term></tig></langSet>
+        <langSet xml:lang="${target}"><tig><term>${escapeHtml(entry.target)}</term></tig></langSet>
+      </termEntry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<martif type="TBX" xml:lang="${source}">
+  <martifHeader>
+    <fileDesc><sourceDesc><p>Exported from Vibe Translate</p></sourceDesc></fileDesc>
+  </martifHeader>
+  <text>
+    <body>${termEntries}
+    </body>
+  </text>
+</martif>
+`;
+}
+
+// Show status message
+function showStatus(message, type) {
+  statusMessage.textContent = message;
+  statusMessage.className = 'status-message ' + type;
+}
@@ -0,0 +1,46 @@
+// Vibe Translate - Translation History
+// Every translation shown in the result popup is recorded here for the history page
+import { promisifyRequest, withStore } from './db.js';
+
+const HISTORY_MAX_ENTRIES = 10000;
+
+/**
+ * Record a translation, dropping the oldest entries beyond the limit
+ */
+export function addHistoryEntry(entry) {
+    return withStore('history', 'readwrite', async (store) => {
+        store.add({ ...entry, timestamp: Date.now() });
+
+        const count = await promisifyRequest(store.count());
+        if (count <= HISTORY_MAX_ENTRIES) {
+            return;
+        }
+
+        // The timestamp index walks oldest first
+        const index = store.index('timestamp');
+        const keys = await promisifyRequest(index.getAllKeys(null, count - HISTORY_MAX_ENTRIES));
+        keys.forEach(key => store.delete(key));
+    });
+}
+
+/**
+ * All entries, newest first
+ */
+export async function getHistoryEntries() {
+    const entries = await withStore('history', 'readonly', (store) =>
+        promisifyRequest(store.index('timestamp').getAll())
+    );
+    return entries.reverse();
+}
+
+export function deleteHistoryEntries(ids) {
+    return withStore('history', 'readwrite', (store) => {
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+export function clearHistory() {
+    return withStore('history', 'readwrite', (store) => {
+        store.clear();
+    });
+}
@@ -0,0 +1,173 @@
+// Vibe Translate History Page
+import { getLanguageName } from '../constants.js';
+import { download, escapeHtml } from '../dom-utils.js';
+import { deleteHistoryEntries, getHistoryEntries } from '../history-store.js';
+
+// DOM Elements
+const searchInput = document.getElementById('search');
+const siteFilter = document.getElementById('site-filter');
+const languageFilter = document.getElementById('language-filter');
+const dateFromInput = document.getElementById('date-from');
+const dateToInput = document.getElementById('date-to');
+const resultCount = document.getElementById('result-count');
+const historyList = document.getElementById('history-list');
+
+// All entries, newest first
+let entries = [];
+
+document.addEventListener('DOMContentLoaded', loadHistory);
+
+for (const control of [searchInput, siteFilter, languageFilter, dateFromInput, dateToInput]) {
+  control.addEventListener('input', render);
+}
+
+document.getElementById('export-csv').addEventListener('click', () => {
+  download('vibe-translate-history.csv', toCsv(getFilteredEntries()), 'text/csv');
+});
+
+document.getElementById('export-json').addEventListener('click', () => {
+  download('vibe-translate-history.json', JSON.stringify(getFilteredEntries(), null, 2), 'application/json');
+});
+
+document.getElementById('delete-filtered').addEventListener('click', async () => {
+  const filtered = getFilteredEntries();
+  if (filtered.length === 0 || !confirm(`Delete ${filtered.length} shown entries?`)) {
+    return;
+  }
+
+  await deleteHistoryEntries(filtered.map(entry => entry.id));
+  await loadHistory();
+});
+
+// Delete a single entry
+historyList.addEventListener('click', async (e) => {
+  const button = e.target.closest('.delete-btn');
+  if (!button) {
+    return;
+  }
+
+  await deleteHistoryEntries([Number(button.dataset.id)]);
+  await loadHistory();
+});
+
+// Load entries and rebuild the filter options
+async function loadHistory() {
+  entries = await getHistoryEntries();
+
+  fillOptions(siteFilter, entries.map(getHostname).filter(Boolean), host => host);
+  fillOptions(languageFilter, entries.map(entry => entry.targetLanguage).filter(Boolean), getLanguageName);
+
+  render();
+}
+
+// Replace the options after the first ("All …") one, keeping the selection if still present
+function fillOptions(select, values, getLabel) {
+  const selected = select.value;
+  const unique = [...new Set(values)].sort();
+
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+  unique.forEach(value => select.add(new Option(getLabel(value), value)));
+
+  select.value = unique.includes(selected) ? selected : '';
+}
+
+function getHostname(entry) {
+  try {
+    return new URL(entry.pageUrl).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Apply search text, site, language and date range filters
+function getFilteredEntries() {
+  const query = searchInput.value.trim().toLowerCase();
+  const site = siteFilter.value;
+  const language = languageFilter.value;
+  const from = dateFromInput.value ? new Date(`${dateFromInput.value}T00:00:00`).getTime() : -Infinity;
+  const to = dateToInput.value ? new Date(`${dateToInput.value}T23:59:59.999`).getTime() : Infinity;
+
+  return entries.filter(entry => {
+    if (site && getHostname(entry) !== site) {
+      return false;
+    }
+    if (language && entry.targetLanguage !== language) {
+      return false;
+    }
+    if (entry.timestamp < from || entry.timestamp > to) {
+      return false;
+    }
+    if (!query) {
+      return true;
+    }
+
+    return [entry.original, entry.translation, entry.previousSentence, entry.nextSentence, entry.pageTitle]
+      .some(text => text && text.toLowerCase().includes(query));
+  });
+}
+
+function render() {
+  const filtered = getFilteredEntries();
+
+  resultCount.textContent = `${filtered.length} of ${entries.length} translations`;
+
+  if (filtered.length === 0) {
+    historyList.innerHTML = `<li class="empty">${entries.length ? 'No translations match the filters' : 'No translations yet'}</li>`;
+    return;
+  }
+
+  historyList.innerHTML = filtered.map(entry => `
+    <li class="entry">
+      <div class="entry-texts">
+        <div>
+          <div class="entry-label">Original</div>
+          <div class="entry-text">${escapeHtml(entry.original)}</div>
+        </div>
+        <div>
+          <div class="entry-label">${escapeHtml(getLanguageName(entry.targetLanguage))}</div>
+          <div class="entry-text">${escapeHtml(entry.translation)}</div>
+        </div>
+      </div>
+      ${entry.previousSentence || entry.nextSentence ? `
+        <details class="entry-context">
+          <summary>Context</summary>
+          ${entry.previousSentence ? `<p>← ${escapeHtml(entry.previousSentence)}</p>` : ''}
+          ${entry.nextSentence ? `<p>→ ${escapeHtml(entry.nextSentence)}</p>` : ''}
+        </details>
+      ` : ''}
+      <div class="entry-meta">
+        <span>${new Date(entry.timestamp).toLocaleString()}</span>
+        ${entry.pageUrl ? `<a href="${escapeHtml(entry.pageUrl)}" target="_blank" rel="noopener" title="${escapeHtml(entry.pageUrl)}">${escapeHtml(entry.pageTitle || entry.pageUrl)}</a>` : ''}
+        <span>${escapeHtml(entry.model || '')}</span>
+        <button type="button" class="secondary-btn danger delete-btn" data-id="${entry.id}">Delete</button>
+      </div>
+    </li>
+  `).join('');
+}
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = [
+  ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+  ['pageUrl', entry => entry.pageUrl],
+  ['pageTitle', entry => entry.pageTitle],
+  ['sourceLanguage', entry => entry.sourceLanguage],
+  ['targetLanguage', entry => entry.targetLanguage],
+  ['provider', entry => entry.provider],
+  ['model', entry => entry.model],
+  ['original', entry => entry.original],
+  ['previousSentence', entry => entry.previousSentence],
+  ['nextSentence', entry => entry.nextSentence],
+  ['translation', entry => entry.translation]
+];
+
+function toCsv(rows) {
+  const escapeCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  const lines = [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([, get]) => escapeCell(get(row))).join(','))
+  ];
+  // BOM so spreadsheet apps detect UTF-8
+  return '\uFEFF' + lines.join('\r\n');
+}
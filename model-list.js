@@ -0,0 +1,41 @@
+// Vibe Translate - Model Discovery
+// Model names listed by each provider, cached per provider and URL so the
+// settings form can suggest them without a request every time it opens
+
+import { getProvider, listModels } from './providers.js';
+
+// Cached lists are fetched again after this long
+const MODEL_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Models offered by the provider in the settings, from the cache when fresh
+ *
+ * @param {Object} settings - Provider type, base URL and API token
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cached list
+ * @returns {Promise<string[]|null>} null if the provider cannot list models
+ * @throws {ProviderError} If the list cannot be fetched
+ */
+export async function getModelList(settings, { refresh = false } = {}) {
+    const provider = getProvider(settings.providerType);
+    if (!provider.buildModelsRequest) {
+        return null;
+    }
+
+    const key = `${settings.providerType} ${settings.baseUrl || provider.defaults.baseUrl}`;
+    const { modelLists = {} } = await chrome.storage.local.get('modelLists');
+    const cached = modelLists[key];
+    if (!refresh && cached && Date.now() - cached.fetchedAt < MODEL_LIST_TTL_MS) {
+        return cached.models;
+    }
+
+    const models = await listModels(settings);
+
+    // Lists for URLs no longer in use expire instead of piling up
+    const fresh = Object.entries(modelLists)
+        .filter(([, list]) => Date.now() - list.fetchedAt < MODEL_LIST_TTL_MS);
+    await chrome.storage.local.set({
+        modelLists: { ...Object.fromEntries(fresh), [key]: { models, fetchedAt: Date.now() } }
+    });
+    return models;
+}
@@ -0,0 +1,962 @@
+// Vibe Translate Options Page
+import { clearCache, getCacheStats } from '../cache.js';
+import { DEFAULTS, LANGUAGES } from '../constants.js';
+import { download } from '../dom-utils.js';
+import { formatGlossary } from '../glossary-store.js';
+import { getModelList } from '../model-list.js';
+import { SAMPLE_CONTEXT, renderPrompts } from '../prompt.js';
+import { DEFAULT_MAX_RETRIES, DEFAULT_TEMPERATURE, DEFAULT_TIMEOUT_MS, PROVIDERS, getProvider } from '../providers.js';
+import {
+  decryptApiTokens,
+  encryptApiTokens,
+  exportSettings,
+  getEncryptionState,
+  importSettings,
+  isSyncEnabled,
+  lockApiTokens,
+  loadSettings as loadStoredSettings,
+  saveSettings,
+  setSyncEnabled,
+  unlockApiTokens
+} from '../settings.js';
+import { clearUsage, getPeriodStart, getUsageRecords, summarizeUsage } from '../usage-store.js';
+
+// DOM Elements
+const form = document.getElementById('settings-form');
+const providerSelect = document.getElementById('provider-type');
+const baseUrlInput = document.getElementById('base-url');
+const modelInput = document.getElementById('model');
+const modelLabel = document.getElementById('model-label');
+const modelOptions = document.getElementById('model-options');
+const modelHint = document.getElementById('model-hint');
+const refreshModelsBtn = document.getElementById('refresh-models');
+const apiVersionGroup = document.getElementById('api-version-group');
+const apiVersionInput = document.getElementById('api-version');
+const apiTokenInput = document.getElementById('api-token');
+const requestTimeoutInput = document.getElementById('request-timeout');
+const maxRetriesInput = document.getElementById('max-retries');
+const sourceLanguageSelect = document.getElementById('source-language');
+const targetLanguageSelect = document.getElementById('target-language');
+const replaceTargetLanguageSelect = document.getElementById('replace-target-language');
+const contextModeSelect = document.getElementById('context-mode');
+const contextSentencesInput = document.getElementById('context-sentences');
+const systemPromptInput = document.getElementById('system-prompt');
+const userMessageInput = document.getElementById('user-message');
+const streamResponseInput = document.getElementById('stream-response');
+const historyEnabledInput = document.getElementById('history-enabled');
+const selectionButtonInput = document.getElementById('selection-button');
+const selectionButtonDelayInput = document.getElementById('selection-button-delay');
+const selectionButtonBlocklistInput = document.getElementById('selection-button-blocklist');
+const ttsRateInput = document.getElementById('tts-rate');
+const ttsLanguageSelect = document.getElementById('tts-language');
+const ttsVoiceSelect = document.getElementById('tts-voice');
+const toggleVisibilityBtn = document.getElementById('toggle-visibility');
+const testConnectionBtn = document.getElementById('test-connection');
+const testResult = document.getElementById('test-result');
+const previewSystem = document.getElementById('preview-system');
+const previewUser = document.getElementById('preview-user');
+const statusMessage = document.getElementById('status-message');
+const submitBtn = document.querySelector('.submit-btn');
+const cacheStats = document.getElementById('cache-stats');
+const clearCacheBtn = document.getElementById('clear-cache');
+const openHistoryBtn = document.getElementById('open-history');
+const openVocabularyBtn = document.getElementById('open-vocabulary');
+const openGlossaryBtn = document.getElementById('open-glossary');
+const fallbackList = document.getElementById('fallback-list');
+const addFallbackBtn = document.getElementById('add-fallback');
+const fallbackTemplate = document.getElementById('fallback-template');
+const presetList = document.getElementById('preset-list');
+const addPresetBtn = document.getElementById('add-preset');
+const presetTemplate = document.getElementById('preset-template');
+const siteRuleList = document.getElementById('site-rule-list');
+const addSiteRuleBtn = document.getElementById('add-site-rule');
+const siteRuleTemplate = document.getElementById('site-rule-template');
+const priceList = document.getElementById('price-list');
+const addPriceBtn = document.getElementById('add-price');
+const priceTemplate = document.getElementById('price-template');
+const monthlyBudgetInput = document.getElementById('monthly-budget');
+const budgetActionSelect = document.getElementById('budget-action');
+const usagePeriodSelect = document.getElementById('usage-period');
+const usageRows = document.getElementById('usage-rows');
+const usageTotal = document.getElementById('usage-total');
+const clearUsageBtn = document.getElementById('clear-usage');
+const exportSecretsInput = document.getElementById('export-secrets');
+const exportSettingsBtn = document.getElementById('export-settings');
+const importSettingsInput = document.getElementById('import-settings');
+const syncSettingsInput = document.getElementById('sync-settings');
+const encryptionStatus = document.getElementById('encryption-status');
+const passphraseInput = document.getElementById('passphrase');
+const encryptKeysBtn = document.getElementById('encrypt-keys');
+const unlockKeysBtn = document.getElementById('unlock-keys');
+const lockKeysBtn = document.getElementById('lock-keys');
+const decryptKeysBtn = document.getElementById('decrypt-keys');
+
+// Connection fields stored for each fallback profile
+const FALLBACK_FIELDS = ['providerType', 'baseUrl', 'model', 'apiToken', 'apiVersion'];
+
+// Text fields stored for each preset; temperature is read separately as a number
+const PRESET_FIELDS = ['name', 'providerType', 'model', 'systemPrompt', 'userMessage'];
+
+// Text fields stored for each site rule; `disabled` is read separately as a checkbox
+const SITE_RULE_FIELDS = ['pattern', 'presetId', 'targetLanguage', 'contentSelector', 'paragraphSelector'];
+
+// Voice name per language code, edited one language at a time
+let ttsVoices = {};
+
+// Counts model list lookups so a slow, outdated one cannot overwrite a newer one
+let modelListRequest = 0;
+
+// Build the provider list from the registry
+for (const [id, provider] of Object.entries(PROVIDERS)) {
+  providerSelect.add(new Option(provider.label, id));
+}
+
+// Build the language lists; only the source side can auto-detect
+sourceLanguageSelect.add(new Option('Auto-detect', 'auto'));
+for (const language of LANGUAGES) {
+  sourceLanguageSelect.add(new Option(language.name, language.code));
+  targetLanguageSelect.add(new Option(language.name, language.code));
+  replaceTargetLanguageSelect.add(new Option(language.name, language.code));
+  ttsLanguageSelect.add(new Option(language.name, language.code));
+}
+
+// Load saved settings on page open
+document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', updateCacheStats);
+document.addEventListener('DOMContentLoaded', updateUsageStats);
+document.addEventListener('DOMContentLoaded', updateEncryptionState);
+document.addEventListener('DOMContentLoaded', async () => {
+  syncSettingsInput.checked = await isSyncEnabled();
+});
+
+// Open the history, vocabulary and glossary pages in a new tab
+openHistoryBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+});
+
+openVocabularyBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('vocabulary/vocabulary.html') });
+});
+
+openGlossaryBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('glossary/glossary.html') });
+});
+
+// Clear cached translations
+clearCacheBtn.addEventListener('click', async () => {
+  try {
+    await clearCache();
+    showStatus('Translation cache cleared', 'success');
+  } catch (error) {
+    showStatus('Failed to clear cache: ' + error.message, 'error');
+  }
+  updateCacheStats();
+});
+
+// Export settings as JSON, leaving API keys out unless asked
+exportSettingsBtn.addEventListener('click', async () => {
+  try {
+    const data = await exportSettings({ includeSecrets: exportSecretsInput.checked });
+    download('vibe-translate-settings.json', JSON.stringify(data, null, 2), 'application/json');
+  } catch (error) {
+    showStatus('Failed to export settings: ' + error.message, 'error');
+  }
+});
+
+importSettingsInput.addEventListener('change', async () => {
+  const file = importSettingsInput.files[0];
+  importSettingsInput.value = '';
+  if (!file) {
+    return;
+  }
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      throw new Error('This file is not valid JSON.');
+    }
+    const { count, syncWarning } = await importSettings(data);
+    await loadSettings();
+    showSaveStatus(`Imported ${count} settings`, syncWarning);
+  } catch (error) {
+    showStatus('Failed to import settings: ' + error.message, 'error');
+  }
+});
+
+syncSettingsInput.addEventListener('change', async () => {
+  try {
+    const { pulled, syncWarning } = await setSyncEnabled(syncSettingsInput.checked);
+    if (pulled) {
+      await loadSettings();
+      showStatus('Settings loaded from sync', 'success');
+    } else {
+      showSaveStatus(syncSettingsInput.checked ? 'Settings sync turned on' : 'Settings sync turned off', syncWarning);
+    }
+  } catch (error) {
+    syncSettingsInput.checked = !syncSettingsInput.checked;
+    showStatus('Failed to change sync: ' + error.message, 'error');
+  }
+});
+
+// Encrypt, unlock, lock or decrypt the stored API keys
+encryptKeysBtn.addEventListener('click', () => {
+  if (!passphraseInput.value) {
+    showStatus('Enter a passphrase to encrypt your API keys', 'error');
+    passphraseInput.focus();
+    return;
+  }
+  runEncryptionAction(() => encryptApiTokens(passphraseInput.value), 'API keys encrypted');
+});
+
+unlockKeysBtn.addEventListener('click', () => {
+  runEncryptionAction(() => unlockApiTokens(passphraseInput.value), 'API keys unlocked');
+});
+
+passphraseInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    (unlockKeysBtn.hidden ? encryptKeysBtn : unlockKeysBtn).click();
+  }
+});
+
+lockKeysBtn.addEventListener('click', () => {
+  runEncryptionAction(lockApiTokens, 'API keys locked');
+});
+
+decryptKeysBtn.addEventListener('click', () => {
+  runEncryptionAction(decryptApiTokens, 'API keys are no longer encrypted');
+});
+
+usagePeriodSelect.addEventListener('change', updateUsageStats);
+
+clearUsageBtn.addEventListener('click', async () => {
+  try {
+    await clearUsage();
+    showStatus('Usage history cleared', 'success');
+  } catch (error) {
+    showStatus('Failed to clear usage: ' + error.message, 'error');
+  }
+  updateUsageStats();
+});
+
+// Add an empty model price
+addPriceBtn.addEventListener('click', () => {
+  addPriceRow({ model: modelInput.value.trim() });
+});
+
+function addPriceRow(price) {
+  const row = priceTemplate.content.firstElementChild.cloneNode(true);
+  for (const field of ['model', 'input', 'output']) {
+    row.querySelector(`[data-field="${field}"]`).value = price[field] ?? '';
+  }
+  row.querySelector('.remove-price').addEventListener('click', () => row.remove());
+  priceList.appendChild(row);
+}
+
+// Rows without a model name are dropped; missing prices count as free
+function readModelPrices() {
+  return Array.from(priceList.children, row => ({
+    model: row.querySelector('[data-field="model"]').value.trim(),
+    input: clampDecimal(row.querySelector('[data-field="input"]').value, 0, Infinity, 0),
+    output: clampDecimal(row.querySelector('[data-field="output"]').value, 0, Infinity, 0)
+  })).filter(price => price.model);
+}
+
+// The sentence count only applies to the sentence window
+contextModeSelect.addEventListener('change', () => {
+  contextSentencesInput.disabled = contextModeSelect.value === 'paragraph';
+});
+
+selectionButtonInput.addEventListener('change', applySelectionButtonFields);
+
+ttsLanguageSelect.addEventListener('change', updateVoiceOptions);
+
+ttsVoiceSelect.addEventListener('change', () => {
+  if (ttsVoiceSelect.value) {
+    ttsVoices[ttsLanguageSelect.value] = ttsVoiceSelect.value;
+  } else {
+    delete ttsVoices[ttsLanguageSelect.value];
+  }
+});
+
+// List the installed voices for the selected language
+async function updateVoiceOptions() {
+  const language = ttsLanguageSelect.value;
+  const primary = language.split('-')[0].toLowerCase();
+  const voices = await chrome.tts.getVoices();
+
+  ttsVoiceSelect.replaceChildren(new Option('Default voice', ''));
+  for (const voice of voices) {
+    // Voices without a language can speak any
+    if (!voice.lang || voice.lang.toLowerCase().split('-')[0] === primary) {
+      const label = voice.lang ? `${voice.voiceName} (${voice.lang})` : voice.voiceName;
+      ttsVoiceSelect.add(new Option(label, voice.voiceName));
+    }
+  }
+  ttsVoiceSelect.value = ttsVoices[language] || '';
+}
+
+// The delay and blocklist only apply while the selection button is on
+function applySelectionButtonFields() {
+  selectionButtonDelayInput.disabled = !selectionButtonInput.checked;
+  selectionButtonBlocklistInput.disabled = !selectionButtonInput.checked;
+}
+
+// Handle provider change - auto-fill defaults
+providerSelect.addEventListener('change', (e) => {
+  const defaults = getProvider(e.target.value).defaults;
+
+  baseUrlInput.value = defaults.baseUrl;
+  apiVersionInput.value = defaults.apiVersion || '';
+
+  // Only update model if it's empty or matches another provider's default
+  const isDefaultModel = Object.values(PROVIDERS).some(p => p.defaults.model === modelInput.value);
+  if (!modelInput.value || isDefaultModel) {
+    modelInput.value = defaults.model;
+  }
+
+  applyProviderFields();
+  updateModelOptions();
+});
+
+// The model list depends on the URL and key, so look it up again once they are edited
+baseUrlInput.addEventListener('change', () => updateModelOptions());
+apiTokenInput.addEventListener('change', () => updateModelOptions());
+refreshModelsBtn.addEventListener('click', () => updateModelOptions({ refresh: true }));
+
+/**
+ * Suggest the provider's models in the model field. Any other name can
+ * still be typed, for models the provider does not list.
+ */
+async function updateModelOptions({ refresh = false } = {}) {
+  const request = ++modelListRequest;
+  const provider = getProvider(providerSelect.value);
+  const settings = {
+    providerType: providerSelect.value,
+    baseUrl: baseUrlInput.value.trim(),
+    apiToken: apiTokenInput.value.trim(),
+    requestTimeout: clampNumber(requestTimeoutInput.value, 5, 600, DEFAULT_TIMEOUT_MS / 1000)
+  };
+
+  refreshModelsBtn.hidden = !provider.buildModelsRequest;
+  modelOptions.replaceChildren();
+  modelHint.hidden = true;
+  if (!provider.buildModelsRequest || (provider.requiresApiKey && !settings.apiToken)) {
+    return;
+  }
+
+  refreshModelsBtn.disabled = true;
+  try {
+    const models = await getModelList(settings, { refresh });
+    if (request !== modelListRequest) {
+      return;
+    }
+    modelOptions.replaceChildren(...models.map(model => new Option(model)));
+    modelHint.textContent = `${models.length} models available from ${provider.label}; other names can be typed`;
+  } catch (error) {
+    if (request !== modelListRequest) {
+      return;
+    }
+    modelHint.textContent = `Could not list models: ${error.message}`;
+  } finally {
+    if (request === modelListRequest) {
+      modelHint.hidden = false;
+      refreshModelsBtn.disabled = false;
+    }
+  }
+}
+
+// Update labels, placeholders and optional fields for the selected provider
+function applyProviderFields() {
+  const provider = getProvider(providerSelect.value);
+
+  baseUrlInput.placeholder = provider.defaults.baseUrl;
+  modelInput.placeholder = provider.defaults.model;
+  modelLabel.textContent = provider.modelLabel || 'Model';
+  apiTokenInput.placeholder = provider.tokenPlaceholder;
+  apiTokenInput.required = provider.requiresApiKey;
+
+  apiVersionGroup.hidden = !provider.defaults.apiVersion;
+  apiVersionInput.placeholder = provider.defaults.apiVersion || '';
+}
+
+// Add an empty fallback profile
+addFallbackBtn.addEventListener('click', () => {
+  addFallbackRow({ providerType: providerSelect.value === 'openai' ? 'anthropic' : 'openai' });
+});
+
+// Append a fallback profile row; empty fields fall back to the provider's defaults
+function addFallbackRow(profile) {
+  const row = fallbackTemplate.content.firstElementChild.cloneNode(true);
+  const providerField = row.querySelector('[data-field="providerType"]');
+
+  for (const [id, provider] of Object.entries(PROVIDERS)) {
+    providerField.add(new Option(provider.label, id));
+  }
+
+  for (const field of FALLBACK_FIELDS) {
+    row.querySelector(`[data-field="${field}"]`).value = profile[field] || '';
+  }
+  if (!PROVIDERS[providerField.value]) {
+    providerField.value = 'openai';
+  }
+
+  const applyFields = () => {
+    const provider = getProvider(providerField.value);
+    row.querySelector('[data-field="baseUrl"]').placeholder = provider.defaults.baseUrl;
+    row.querySelector('[data-field="model"]').placeholder = provider.defaults.model;
+    row.querySelector('[data-field="apiToken"]').placeholder = provider.tokenPlaceholder;
+
+    const apiVersionField = row.querySelector('[data-field="apiVersion"]');
+    apiVersionField.hidden = !provider.defaults.apiVersion;
+    apiVersionField.placeholder = provider.defaults.apiVersion || '';
+  };
+
+  providerField.addEventListener('change', applyFields);
+  row.querySelector('.remove-fallback').addEventListener('click', () => row.remove());
+  applyFields();
+
+  fallbackList.appendChild(row);
+}
+
+// Read the fallback profiles in their listed order
+function readFallbackProfiles() {
+  return Array.from(fallbackList.children, row => Object.fromEntries(
+    FALLBACK_FIELDS.map(field => [field, row.querySelector(`[data-field="${field}"]`).value.trim()])
+  ));
+}
+
+// Add an empty preset
+addPresetBtn.addEventListener('click', () => {
+  addPresetRow({});
+  presetList.lastElementChild.querySelector('[data-field="name"]').focus();
+});
+
+addSiteRuleBtn.addEventListener('click', () => {
+  addSiteRuleRow({});
+  siteRuleList.lastElementChild.querySelector('[data-field="pattern"]').focus();
+});
+
+// Append a preset row; an empty provider means the main provider
+function addPresetRow(preset) {
+  const row = presetTemplate.content.firstElementChild.cloneNode(true);
+  const providerField = row.querySelector('[data-field="providerType"]');
+
+  providerField.add(new Option('Main provider', ''));
+  for (const [id, provider] of Object.entries(PROVIDERS)) {
+    providerField.add(new Option(provider.label, id));
+  }
+
+  for (const field of PRESET_FIELDS) {
+    row.querySelector(`[data-field="${field}"]`).value = preset[field] || '';
+  }
+  row.querySelector('[data-field="temperature"]').value = preset.temperature ?? '';
+  row.querySelector('[data-field="temperature"]').placeholder = String(DEFAULT_TEMPERATURE);
+  row.dataset.id = preset.id || crypto.randomUUID();
+
+  row.querySelector('.remove-preset').addEventListener('click', () => row.remove());
+  presetList.appendChild(row);
+}
+
+// Read the presets in their listed order; ids stay stable across saves
+function readPresets() {
+  return Array.from(presetList.children, row => {
+    const preset = Object.fromEntries(
+      PRESET_FIELDS.map(field => [field, row.querySelector(`[data-field="${field}"]`).value.trim()])
+    );
+    const temperature = row.querySelector('[data-field="temperature"]').value;
+
+    return {
+      id: row.dataset.id,
+      ...preset,
+      temperature: clampDecimal(temperature, 0, 2, null)
+    };
+  });
+}
+
+function addSiteRuleRow(rule) {
+  const row = siteRuleTemplate.content.firstElementChild.cloneNode(true);
+  const presetField = row.querySelector('[data-field="presetId"]');
+  const targetLanguageField = row.querySelector('[data-field="targetLanguage"]');
+
+  targetLanguageField.add(new Option('Default language', ''));
+  for (const language of LANGUAGES) {
+    targetLanguageField.add(new Option(language.name, language.code));
+  }
+
+  // Presets may be added or renamed above without saving, so list them on focus
+  updateRulePresetOptions(presetField, rule.presetId || '');
+  presetField.addEventListener('focus', () => updateRulePresetOptions(presetField, presetField.value));
+
+  for (const field of SITE_RULE_FIELDS) {
+    row.querySelector(`[data-field="${field}"]`).value = rule[field] || '';
+  }
+  row.querySelector('[data-field="disabled"]').checked = rule.disabled === true;
+
+  row.querySelector('.remove-site-rule').addEventListener('click', () => row.remove());
+  siteRuleList.appendChild(row);
+}
+
+// Fill a site rule's preset list from the preset rows, keeping the selection.
+// A preset removed since the rule was saved stays listed as deleted, so the
+// rule visibly falls back to the default until another one is chosen.
+function updateRulePresetOptions(select, value) {
+  select.replaceChildren(new Option('Default preset', ''));
+  for (const row of presetList.children) {
+    const name = row.querySelector('[data-field="name"]').value.trim();
+    select.add(new Option(name || 'Untitled preset', row.dataset.id));
+  }
+  select.value = value;
+  if (select.value !== value) {
+    select.add(new Option('Deleted preset (uses default)', value));
+    select.value = value;
+  }
+}
+
+// Rules keep no preset that was removed above
+function readSiteRules() {
+  const presetIds = new Set(Array.from(presetList.children, row => row.dataset.id));
+
+  return Array.from(siteRuleList.children, row => {
+    const rule = Object.fromEntries(
+      SITE_RULE_FIELDS.map(field => [field, row.querySelector(`[data-field="${field}"]`).value.trim()])
+    );
+
+    return {
+      ...rule,
+      presetId: presetIds.has(rule.presetId) ? rule.presetId : '',
+      disabled: row.querySelector('[data-field="disabled"]').checked
+    };
+  });
+}
+
+// Send the sample selection through the provider as entered, without saving
+testConnectionBtn.addEventListener('click', async () => {
+  const settings = readFormSettings();
+  if (!validateConnection(settings)) {
+    return;
+  }
+
+  testConnectionBtn.disabled = true;
+  testResult.hidden = false;
+  testResult.className = 'hint test-result';
+  testResult.textContent = 'Testing…';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'testConnection', settings });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    testResult.textContent = `✓ ${response.provider} replied in ${response.latencyMs} ms: ${response.translation}`;
+    testResult.classList.add('success');
+  } catch (error) {
+    testResult.textContent = `✗ ${error.message}`;
+    testResult.classList.add('error');
+  } finally {
+    testConnectionBtn.disabled = false;
+  }
+});
+
+// Keep the prompt preview in step with the prompt and language fields
+[systemPromptInput, userMessageInput].forEach(input => input.addEventListener('input', updatePromptPreview));
+[sourceLanguageSelect, targetLanguageSelect].forEach(select => select.addEventListener('change', updatePromptPreview));
+
+function updatePromptPreview() {
+  const { systemPrompt, userMessage } = renderPrompts(SAMPLE_CONTEXT, readFormSettings(), {
+    glossary: formatGlossary([])
+  });
+  previewSystem.textContent = systemPrompt;
+  previewUser.textContent = userMessage;
+}
+
+// Toggle password visibility
+toggleVisibilityBtn.addEventListener('click', () => {
+  const isPassword = apiTokenInput.type === 'password';
+  apiTokenInput.type = isPassword ? 'text' : 'password';
+  toggleVisibilityBtn.setAttribute('aria-label', isPassword ? 'Hide token' : 'Show token');
+});
+
+// Handle form submission
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const settings = readFormSettings();
+
+  // Saving would replace the locked keys with the empty fields
+  if ((await getEncryptionState()).locked) {
+    showStatus('Unlock your API keys before saving settings', 'error');
+    passphraseInput.focus();
+    return;
+  }
+
+  // Validate
+  if (!validateSettings(settings)) {
+    return;
+  }
+
+  try {
+    const syncWarning = await saveSettings(settings);
+    showSaveStatus('Settings saved successfully!', syncWarning);
+    updateUsageStats();
+
+    // Show success state on button
+    submitBtn.classList.add('success');
+    setTimeout(() => {
+      submitBtn.classList.remove('success');
+    }, 2000);
+
+  } catch (error) {
+    showStatus('Failed to save settings: ' + error.message, 'error');
+  }
+});
+
+// Settings as currently entered in the form
+function readFormSettings() {
+  return {
+    providerType: providerSelect.value,
+    baseUrl: baseUrlInput.value.trim(),
+    model: modelInput.value.trim(),
+    apiToken: apiTokenInput.value.trim(),
+    apiVersion: apiVersionInput.value.trim(),
+    requestTimeout: clampNumber(requestTimeoutInput.value, 5, 600, DEFAULT_TIMEOUT_MS / 1000),
+    maxRetries: clampNumber(maxRetriesInput.value, 0, 5, DEFAULT_MAX_RETRIES),
+    sourceLanguage: sourceLanguageSelect.value,
+    targetLanguage: targetLanguageSelect.value,
+    replaceTargetLanguage: replaceTargetLanguageSelect.value,
+    contextMode: contextModeSelect.value,
+    contextSentences: clampNumber(contextSentencesInput.value, 1, 10, DEFAULTS.CONTEXT_SENTENCES),
+    systemPrompt: systemPromptInput.value.trim() || DEFAULTS.SYSTEM_PROMPT,
+    userMessage: userMessageInput.value.trim() || DEFAULTS.USER_MESSAGE,
+    streamResponse: streamResponseInput.checked,
+    historyEnabled: historyEnabledInput.checked,
+    selectionButton: selectionButtonInput.checked,
+    selectionButtonDelay: clampNumber(selectionButtonDelayInput.value, 0, 3000, DEFAULTS.SELECTION_BUTTON_DELAY),
+    selectionButtonBlocklist: selectionButtonBlocklistInput.value.trim(),
+    ttsRate: clampDecimal(ttsRateInput.value, 0.5, 2, DEFAULTS.TTS_RATE),
+    ttsVoices: { ...ttsVoices },
+    modelPrices: readModelPrices(),
+    monthlyBudget: clampDecimal(monthlyBudgetInput.value, 0, Infinity, 0),
+    budgetAction: budgetActionSelect.value,
+    fallbackProfiles: readFallbackProfiles(),
+    presets: readPresets(),
+    siteRules: readSiteRules()
+  };
+}
+
+// Load settings from Chrome storage
+async function loadSettings() {
+  try {
+    const result = await loadStoredSettings();
+
+    if (result.providerType && PROVIDERS[result.providerType]) {
+      providerSelect.value = result.providerType;
+    }
+
+    const defaults = getProvider(providerSelect.value).defaults;
+
+    if (result.baseUrl) {
+      baseUrlInput.value = result.baseUrl;
+    } else {
+      // Set default based on provider
+      baseUrlInput.value = defaults.baseUrl;
+    }
+
+    if (result.model) {
+      modelInput.value = result.model;
+    } else {
+      modelInput.value = defaults.model;
+    }
+
+    apiVersionInput.value = result.apiVersion || defaults.apiVersion || '';
+
+    // Empty while encrypted keys are locked
+    apiTokenInput.value = result.apiToken || '';
+
+    fallbackList.replaceChildren();
+    (result.fallbackProfiles || []).forEach(addFallbackRow);
+
+    presetList.replaceChildren();
+    (result.presets || []).forEach(addPresetRow);
+
+    // After the presets, which the rules' preset lists are built from
+    siteRuleList.replaceChildren();
+    (result.siteRules || []).forEach(addSiteRuleRow);
+
+    requestTimeoutInput.value = result.requestTimeout || DEFAULT_TIMEOUT_MS / 1000;
+    maxRetriesInput.value = result.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+    sourceLanguageSelect.value = result.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE;
+    targetLanguageSelect.value = result.targetLanguage || DEFAULTS.TARGET_LANGUAGE;
+    replaceTargetLanguageSelect.value = result.replaceTargetLanguage || DEFAULTS.REPLACE_TARGET_LANGUAGE;
+
+    contextModeSelect.value = result.contextMode || DEFAULTS.CONTEXT_MODE;
+    contextSentencesInput.value = result.contextSentences || DEFAULTS.CONTEXT_SENTENCES;
+    contextSentencesInput.disabled = contextModeSelect.value === 'paragraph';
+
+    // Load system prompt
+    if (result.systemPrompt) {
+      systemPromptInput.value = result.systemPrompt;
+    } else {
+      systemPromptInput.value = DEFAULTS.SYSTEM_PROMPT;
+    }
+
+    // Load user message template
+    if (result.userMessage) {
+      userMessageInput.value = result.userMessage;
+    } else {
+      userMessageInput.value = DEFAULTS.USER_MESSAGE;
+    }
+
+    // Streaming is on unless explicitly disabled
+    streamResponseInput.checked = result.streamResponse !== false;
+    historyEnabledInput.checked = result.historyEnabled !== false;
+
+    // The selection button is opt-in
+    selectionButtonInput.checked = result.selectionButton === true;
+    selectionButtonDelayInput.value = result.selectionButtonDelay ?? DEFAULTS.SELECTION_BUTTON_DELAY;
+    selectionButtonBlocklistInput.value = result.selectionButtonBlocklist || '';
+    applySelectionButtonFields();
+
+    priceList.replaceChildren();
+    (result.modelPrices || []).forEach(addPriceRow);
+    monthlyBudgetInput.value = result.monthlyBudget || '';
+    budgetActionSelect.value = result.budgetAction || 'warn';
+
+    ttsRateInput.value = result.ttsRate || DEFAULTS.TTS_RATE;
+    ttsVoices = result.ttsVoices || {};
+    ttsLanguageSelect.value = result.targetLanguage || DEFAULTS.TARGET_LANGUAGE;
+    await updateVoiceOptions();
+
+    // Update placeholders and provider-specific fields
+    applyProviderFields();
+    updatePromptPreview();
+    updateModelOptions();
+
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+}
+
+// Validate the main provider's URL and model
+function validateConnection(settings) {
+  if (!settings.baseUrl) {
+    showStatus('Base URL is required', 'error');
+    baseUrlInput.focus();
+    return false;
+  }
+
+  // Validate URL format
+  try {
+    new URL(settings.baseUrl);
+  } catch {
+    showStatus('Please enter a valid URL', 'error');
+    baseUrlInput.focus();
+    return false;
+  }
+
+  if (!settings.model) {
+    showStatus(`${modelLabel.textContent} name is required`, 'error');
+    modelInput.focus();
+    return false;
+  }
+
+  return true;
+}
+
+// Validate settings
+function validateSettings(settings) {
+  if (!validateConnection(settings)) {
+    return false;
+  }
+
+  if (getProvider(settings.providerType).requiresApiKey && !settings.apiToken) {
+    showStatus('API Token is required', 'error');
+    apiTokenInput.focus();
+    return false;
+  }
+
+  // Each fallback needs a usable URL and, where required, a key
+  for (const [index, profile] of settings.fallbackProfiles.entries()) {
+    const row = fallbackList.children[index];
+    const provider = getProvider(profile.providerType);
+
+    if (profile.baseUrl) {
+      try {
+        new URL(profile.baseUrl);
+      } catch {
+        showStatus(`Fallback ${index + 1}: please enter a valid URL`, 'error');
+        row.querySelector('[data-field="baseUrl"]').focus();
+        return false;
+      }
+    }
+
+    if (provider.requiresApiKey && !profile.apiToken) {
+      showStatus(`Fallback ${index + 1}: API Token is required`, 'error');
+      row.querySelector('[data-field="apiToken"]').focus();
+      return false;
+    }
+  }
+
+  // Presets are listed in the context menu by name
+  for (const [index, preset] of settings.presets.entries()) {
+    if (!preset.name) {
+      showStatus(`Preset ${index + 1}: a name is required`, 'error');
+      presetList.children[index].querySelector('[data-field="name"]').focus();
+      return false;
+    }
+  }
+
+  // Rules need a pattern, and their selectors must parse
+  for (const [index, rule] of settings.siteRules.entries()) {
+    const row = siteRuleList.children[index];
+    if (!rule.pattern) {
+      showStatus(`Site rule ${index + 1}: a URL pattern is required`, 'error');
+      row.querySelector('[data-field="pattern"]').focus();
+      return false;
+    }
+
+    for (const field of ['contentSelector', 'paragraphSelector']) {
+      if (rule[field] && !isValidSelector(rule[field])) {
+        showStatus(`Site rule ${index + 1}: "${rule[field]}" is not a valid CSS selector`, 'error');
+        row.querySelector(`[data-field="${field}"]`).focus();
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Parse a whole number from an input, clamped to [min, max]
+function clampNumber(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+// Parse a decimal number from an input, clamped to [min, max]
+function clampDecimal(value, min, max, fallback) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+// Show token totals and cost per provider and model for the selected period
+async function updateUsageStats() {
+  try {
+    const [records, settings] = await Promise.all([
+      getUsageRecords(getPeriodStart(usagePeriodSelect.value)),
+      loadStoredSettings()
+    ]);
+    const summary = summarizeUsage(records, settings.modelPrices);
+
+    usageRows.replaceChildren(...summary.rows.map(row => {
+      const tr = document.createElement('tr');
+      const model = document.createElement('td');
+      model.textContent = row.model;
+      model.title = getProvider(row.provider).label;
+      tr.append(
+        model,
+        createCell(row.requests.toLocaleString()),
+        createCell(`${row.inputTokens.toLocaleString()} / ${row.outputTokens.toLocaleString()}`),
+        createCell(row.cost === null ? '—' : formatCost(row.cost))
+      );
+      return tr;
+    }));
+
+    const parts = [`Total ${formatCost(summary.cost)}`];
+    const budget = Number(settings.monthlyBudget);
+    if (budget && usagePeriodSelect.value === 'month') {
+      parts[0] += ` of ${formatCost(budget)} budget`;
+    }
+    if (summary.unpriced) {
+      parts.push('models marked — have no price');
+    }
+    usageTotal.textContent = summary.rows.length ? parts.join(' · ') : 'No requests yet';
+  } catch (error) {
+    usageTotal.textContent = 'Usage unavailable';
+    console.error('Failed to read usage:', error);
+  }
+}
+
+// Run an encryption change, then reload the form so the API key fields match
+async function runEncryptionAction(action, message) {
+  try {
+    await action();
+    passphraseInput.value = '';
+    await loadSettings();
+    showStatus(message, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+  updateEncryptionState();
+}
+
+// Show the buttons that apply to whether keys are encrypted and unlocked
+async function updateEncryptionState() {
+  const { encrypted, locked } = await getEncryptionState();
+
+  encryptionStatus.textContent = !encrypted
+    ? 'API keys are stored unencrypted. Encrypt them with a passphrase you enter once per browser session.'
+    : locked
+      ? 'API keys are locked. Enter your passphrase to translate and to edit settings.'
+      : 'API keys are encrypted and unlocked until the browser closes.';
+  passphraseInput.hidden = encrypted && !locked;
+  encryptKeysBtn.hidden = encrypted;
+  unlockKeysBtn.hidden = !locked;
+  lockKeysBtn.hidden = !encrypted || locked;
+  decryptKeysBtn.hidden = !encrypted || locked;
+}
+
+function createCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+function formatCost(cost) {
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// Show status message
+function showStatus(message, type) {
+  statusMessage.textContent = message;
+  statusMessage.className = 'status-message show ' + type;
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    statusMessage.classList.remove('show');
+  }, 3000);
+}
+
+// Settings are saved locally even when syncing them fails
+function showSaveStatus(message, syncWarning) {
+  if (syncWarning) {
+    showStatus(`${message} ${syncWarning}`, 'warning');
+  } else {
+    showStatus(message, 'success');
+  }
+}
+
+// Show cache entry count and size
+async function updateCacheStats() {
+  try {
+    const stats = await getCacheStats();
+    const size = stats.bytes < 1024 * 1024
+      ? `${(stats.bytes / 1024).toFixed(1)} KB`
+      : `${(stats.bytes / 1024 / 1024).toFixed(1)} MB`;
+    cacheStats.textContent = `${stats.entries} entries · ${size}`;
+  } catch (error) {
+    cacheStats.textContent = 'Cache unavailable';
+    console.error('Failed to read cache stats:', error);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,407 @@
+// Vibe Translate - Full-page bilingual translation
+// Loaded after content.js and shares its globals (BLOCK_ELEMENTS, escapeHtml, siteRule).
+
+/**
+ * Paragraphs are sent to the service worker in batches so one request
+ * covers several paragraphs without growing unbounded.
+ */
+const PAGE_BATCH_SIZE = 8;
+const PAGE_BATCH_MAX_CHARS = 3000;
+
+/**
+ * Elements whose text should never be translated
+ */
+const PAGE_SKIP_SELECTOR = 'script, style, noscript, pre, code, textarea, [data-vibe-translate-ui]';
+
+/**
+ * Display modes for translated paragraphs
+ */
+const PAGE_MODES = {
+  both: 'Both',
+  original: 'Original',
+  translation: 'Translation'
+};
+
+const pageTranslation = {
+  active: false,
+  mode: 'both',
+  queue: [],
+  busy: false,
+  flushTimer: null,
+  pendingCount: 0,
+  error: null,
+  intersectionObserver: null,
+  mutationObserver: null,
+  toolbar: null
+};
+
+/**
+ * Starts translating the page. Paragraphs are only queued once they
+ * scroll near the viewport, and content added later is picked up too.
+ */
+function startPageTranslation() {
+  if (pageTranslation.active) {
+    // Running again retries paragraphs whose batch failed
+    document.querySelectorAll('[data-vibe-translate="error"]').forEach(queueParagraph);
+    return;
+  }
+
+  pageTranslation.active = true;
+  setPageTranslationMode(pageTranslation.mode);
+  injectPageTranslationStyles();
+  pageTranslation.toolbar = createPageToolbar();
+
+  // Queue paragraphs as they come within 300px of the viewport
+  pageTranslation.intersectionObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        pageTranslation.intersectionObserver.unobserve(entry.target);
+        queueParagraph(entry.target);
+      }
+    }
+  }, { rootMargin: '300px 0px' });
+
+  // Watch for paragraphs added after the initial scan
+  pageTranslation.mutationObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && !node.closest('[data-vibe-translate-ui]')) {
+          observeParagraphs(node);
+        }
+      }
+    }
+  });
+
+  observeParagraphs(document.body);
+  pageTranslation.mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+  console.log('[Vibe Translate] Page translation started');
+}
+
+/**
+ * Stops page translation and removes every inserted translation
+ */
+function stopPageTranslation() {
+  if (!pageTranslation.active) {
+    return;
+  }
+
+  pageTranslation.intersectionObserver.disconnect();
+  pageTranslation.mutationObserver.disconnect();
+  clearTimeout(pageTranslation.flushTimer);
+
+  document.querySelectorAll('.vibe-translate-paragraph').forEach(el => el.remove());
+  document.querySelectorAll('[data-vibe-translate]').forEach(el => {
+    el.removeAttribute('data-vibe-translate');
+  });
+  document.documentElement.removeAttribute('data-vibe-translate-mode');
+  pageTranslation.toolbar?.remove();
+
+  Object.assign(pageTranslation, {
+    active: false,
+    queue: [],
+    pendingCount: 0,
+    error: null,
+    toolbar: null
+  });
+
+  console.log('[Vibe Translate] Page translation stopped');
+}
+
+/**
+ * Switches between showing both texts, the original only or the translation only
+ */
+function setPageTranslationMode(mode) {
+  pageTranslation.mode = mode;
+  document.documentElement.setAttribute('data-vibe-translate-mode', mode);
+
+  pageTranslation.toolbar?.querySelectorAll('[data-mode]').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
+}
+
+/**
+ * Finds translatable paragraphs within root and starts observing their visibility
+ */
+function observeParagraphs(root) {
+  const selector = BLOCK_ELEMENTS.join(',');
+  const candidates = root.matches(selector) ? [root] : [];
+  candidates.push(...root.querySelectorAll(selector));
+
+  for (const element of candidates) {
+    if (isTranslatableParagraph(element, selector)) {
+      element.setAttribute('data-vibe-translate', 'pending');
+      pageTranslation.intersectionObserver.observe(element);
+    }
+  }
+}
+
+/**
+ * A paragraph is a leaf block element with some actual words in it
+ */
+function isTranslatableParagraph(element, selector) {
+  if (element.hasAttribute('data-vibe-translate') || element.isContentEditable) {
+    return false;
+  }
+
+  // Containers are skipped; their innermost blocks are translated instead
+  if (element.querySelector(selector)) {
+    return false;
+  }
+
+  if (element.closest(PAGE_SKIP_SELECTOR)) {
+    return false;
+  }
+
+  const text = getParagraphText(element);
+  return text.length > 1 && /\p{L}/u.test(text);
+}
+
+function getParagraphText(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function queueParagraph(element) {
+  pageTranslation.queue.push(element);
+  updatePageToolbarStatus();
+
+  // Let a scroll settle so nearby paragraphs share a batch
+  clearTimeout(pageTranslation.flushTimer);
+  pageTranslation.flushTimer = setTimeout(flushParagraphQueue, 200);
+}
+
+/**
+ * Sends queued paragraphs to the service worker one batch at a time
+ */
+async function flushParagraphQueue() {
+  if (pageTranslation.busy) {
+    return;
+  }
+
+  pageTranslation.busy = true;
+
+  while (pageTranslation.active && pageTranslation.queue.length > 0) {
+    const batch = takeParagraphBatch();
+    if (batch.length === 0) {
+      continue;
+    }
+
+    batch.forEach(el => el.setAttribute('data-vibe-translate', 'loading'));
+    pageTranslation.pendingCount = batch.length;
+    updatePageToolbarStatus();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'translateParagraphs',
+        texts: batch.map(getParagraphText)
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      batch.forEach((element, index) => {
+        insertParagraphTranslation(element, response.translations[index]);
+      });
+      pageTranslation.error = null;
+    } catch (error) {
+      console.error('[Vibe Translate] Page translation error:', error.message);
+      batch.forEach(el => el.setAttribute('data-vibe-translate', 'error'));
+      pageTranslation.error = error.message;
+    }
+  }
+
+  pageTranslation.busy = false;
+  pageTranslation.pendingCount = 0;
+  updatePageToolbarStatus();
+}
+
+function takeParagraphBatch() {
+  const batch = [];
+  let chars = 0;
+
+  while (pageTranslation.queue.length > 0 && batch.length < PAGE_BATCH_SIZE) {
+    const element = pageTranslation.queue[0];
+    const length = getParagraphText(element).length;
+
+    if (batch.length > 0 && chars + length > PAGE_BATCH_MAX_CHARS) {
+      break;
+    }
+
+    pageTranslation.queue.shift();
+
+    // Skip paragraphs removed from the page while waiting
+    if (element.isConnected) {
+      batch.push(element);
+      chars += length;
+    }
+  }
+
+  return batch;
+}
+
+/**
+ * Appends the translation inside the paragraph so list items and table
+ * cells keep a valid structure. The page's own nodes are left where they
+ * are, since frameworks like React expect to find them there.
+ */
+function insertParagraphTranslation(element, translation) {
+  if (!pageTranslation.active || !element.isConnected) {
+    return;
+  }
+
+  const node = document.createElement('span');
+  node.className = 'vibe-translate-paragraph';
+  node.setAttribute('data-vibe-translate-ui', '');
+  node.textContent = translation;
+
+  // Translation-only mode hides the original text with font-size: 0,
+  // so remember the size the translation should be shown at
+  node.style.setProperty('--vibe-translate-font-size', getComputedStyle(element).fontSize);
+
+  element.appendChild(node);
+  element.setAttribute('data-vibe-translate', 'done');
+}
+
+function injectPageTranslationStyles() {
+  if (document.getElementById('vibe-translate-page-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'vibe-translate-page-styles';
+  style.textContent = `
+    .vibe-translate-paragraph {
+      display: block;
+      margin-top: 0.35em;
+      color: inherit;
+      opacity: 0.85;
+    }
+
+    html[data-vibe-translate-mode="original"] .vibe-translate-paragraph {
+      display: none !important;
+    }
+
+    /* Text nodes can only be hidden through their parent; elements are hidden directly */
+    html[data-vibe-translate-mode="translation"] [data-vibe-translate="done"] {
+      font-size: 0 !important;
+    }
+
+    html[data-vibe-translate-mode="translation"] [data-vibe-translate="done"] > :not(.vibe-translate-paragraph) {
+      display: none !important;
+    }
+
+    html[data-vibe-translate-mode="translation"] [data-vibe-translate="done"] > .vibe-translate-paragraph {
+      font-size: var(--vibe-translate-font-size) !important;
+      margin-top: 0;
+      opacity: 1;
+    }
+
+    [data-vibe-translate="loading"] {
+      text-decoration: underline dotted rgba(59, 130, 246, 0.6);
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Creates the floating toolbar with mode switches and a close button
+ */
+function createPageToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.id = 'vibe-translate-page-toolbar';
+  toolbar.setAttribute('data-vibe-translate-ui', '');
+  toolbar.innerHTML = `
+    <style>
+      #vibe-translate-page-toolbar {
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 6px;
+        background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+        border: 1px solid rgba(59, 130, 246, 0.3);
+        border-radius: 10px;
+        box-shadow: 0 10px 24px rgba(0, 0, 0, 0.35);
+        font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+        font-size: 12px;
+        color: #f8fafc;
+        z-index: 2147483646;
+      }
+
+      #vibe-translate-page-toolbar button {
+        background: none;
+        border: none;
+        color: #94a3b8;
+        font: inherit;
+        padding: 5px 9px;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+
+      #vibe-translate-page-toolbar button:hover {
+        color: #f8fafc;
+        background: rgba(148, 163, 184, 0.15);
+      }
+
+      #vibe-translate-page-toolbar button.active {
+        color: white;
+        background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+      }
+
+      #vibe-translate-page-toolbar .status {
+        padding: 0 6px;
+        color: #64748b;
+        max-width: 180px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #vibe-translate-page-toolbar .status.error {
+        color: #fca5a5;
+      }
+    </style>
+    ${Object.entries(PAGE_MODES).map(([mode, label]) =>
+      `<button data-mode="${mode}">${escapeHtml(label)}</button>`
+    ).join('')}
+    <span class="status"></span>
+    <button class="close" title="Restore original page">&times;</button>
+  `;
+
+  toolbar.querySelectorAll('[data-mode]').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === pageTranslation.mode);
+    button.addEventListener('click', () => setPageTranslationMode(button.dataset.mode));
+  });
+  toolbar.querySelector('.close').addEventListener('click', stopPageTranslation);
+
+  document.body.appendChild(toolbar);
+  return toolbar;
+}
+
+function updatePageToolbarStatus() {
+  const status = pageTranslation.toolbar?.querySelector('.status');
+  if (!status) {
+    return;
+  }
+
+  const error = pageTranslation.error;
+  const waiting = pageTranslation.queue.length + pageTranslation.pendingCount;
+  status.classList.toggle('error', Boolean(error));
+  status.title = error || '';
+  status.textContent = error ? `Error: ${error}` : waiting > 0 ? `Translating ${waiting}…` : '';
+}
+
+// Listen for page translation commands from the background script
+// The reply tells the background script the message reached the page
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'translatePage') {
+    return;
+  }
+  if (!siteRule?.disabled) {
+    startPageTranslation();
+  }
+  sendResponse({ ok: true });
+});
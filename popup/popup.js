@@ -1,173 +1,93 @@
 // Vibe Translate Popup JavaScript
-import { DEFAULTS } from '../constants.js';
-
-// Use provider defaults from constants
-const PROVIDER_DEFAULTS = DEFAULTS.PROVIDERS;
+// Quick settings for everyday use; the options page holds the full form.
+import { DEFAULTS, LANGUAGES } from '../constants.js';
+import { getProvider } from '../providers.js';
+import { loadSettings, saveSettings } from '../settings.js';
 
 // DOM Elements
-const form = document.getElementById('settings-form');
-const providerSelect = document.getElementById('provider-type');
-const baseUrlInput = document.getElementById('base-url');
-const modelInput = document.getElementById('model');
-const apiTokenInput = document.getElementById('api-token');
-const systemPromptInput = document.getElementById('system-prompt');
-const userMessageInput = document.getElementById('user-message');
-const toggleVisibilityBtn = document.getElementById('toggle-visibility');
+const providerSummary = document.getElementById('provider-summary');
+const sourceLanguageSelect = document.getElementById('source-language');
+const targetLanguageSelect = document.getElementById('target-language');
+const streamResponseInput = document.getElementById('stream-response');
+const selectionButtonInput = document.getElementById('selection-button');
+const historyEnabledInput = document.getElementById('history-enabled');
 const statusMessage = document.getElementById('status-message');
-const submitBtn = document.querySelector('.submit-btn');
-
-// Load saved settings on popup open
-document.addEventListener('DOMContentLoaded', loadSettings);
+const openOptionsBtn = document.getElementById('open-options');
+const openHistoryBtn = document.getElementById('open-history');
+const openGlossaryBtn = document.getElementById('open-glossary');
+const openVocabularyBtn = document.getElementById('open-vocabulary');
+
+// Build the language lists; only the source side can auto-detect
+sourceLanguageSelect.add(new Option('Auto-detect', 'auto'));
+for (const language of LANGUAGES) {
+  sourceLanguageSelect.add(new Option(language.name, language.code));
+  targetLanguageSelect.add(new Option(language.name, language.code));
+}
 
-// Handle provider change - auto-fill defaults
-providerSelect.addEventListener('change', (e) => {
-  const provider = e.target.value;
-  const defaults = PROVIDER_DEFAULTS[provider];
+document.addEventListener('DOMContentLoaded', showQuickSettings);
 
-  if (defaults) {
-    baseUrlInput.value = defaults.baseUrl;
-    baseUrlInput.placeholder = defaults.baseUrl;
-    modelInput.placeholder = defaults.model;
+// Every change is saved right away; there is no save button here
+[sourceLanguageSelect, targetLanguageSelect, streamResponseInput, selectionButtonInput, historyEnabledInput]
+  .forEach(field => field.addEventListener('change', saveQuickSettings));
 
-    // Only update model if it's empty or matches another provider's default
-    const otherProvider = provider === 'openai' ? 'gemini' : 'openai';
-    if (!modelInput.value || modelInput.value === PROVIDER_DEFAULTS[otherProvider].model) {
-      modelInput.value = defaults.model;
-    }
-  }
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
 });
 
-// Toggle password visibility
-toggleVisibilityBtn.addEventListener('click', () => {
-  const isPassword = apiTokenInput.type === 'password';
-  apiTokenInput.type = isPassword ? 'text' : 'password';
-  toggleVisibilityBtn.setAttribute('aria-label', isPassword ? 'Hide token' : 'Show token');
+// Open the history, vocabulary and glossary pages in a new tab
+openHistoryBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
 });
 
-// Handle form submission
-form.addEventListener('submit', async (e) => {
-  e.preventDefault();
-
-  const settings = {
-    providerType: providerSelect.value,
-    baseUrl: baseUrlInput.value.trim(),
-    model: modelInput.value.trim(),
-    apiToken: apiTokenInput.value.trim(),
-    systemPrompt: systemPromptInput.value.trim() || DEFAULT_SYSTEM_PROMPT,
-    userMessage: userMessageInput.value.trim() || DEFAULT_USER_MESSAGE
-  };
-
-  // Validate
-  if (!validateSettings(settings)) {
-    return;
-  }
-
-  try {
-    await saveSettings(settings);
-    showStatus('Settings saved successfully!', 'success');
-
-    // Show success state on button
-    submitBtn.classList.add('success');
-    setTimeout(() => {
-      submitBtn.classList.remove('success');
-    }, 2000);
+openGlossaryBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('glossary/glossary.html') });
+});
 
-  } catch (error) {
-    showStatus('Failed to save settings: ' + error.message, 'error');
-  }
+openVocabularyBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('vocabulary/vocabulary.html') });
 });
 
-// Load settings from Chrome storage
-async function loadSettings() {
+async function showQuickSettings() {
   try {
-    const result = await chrome.storage.local.get([
-      'providerType',
-      'baseUrl',
-      'model',
-      'apiToken',
-      'systemPrompt',
-      'userMessage'
-    ]);
-
-    if (result.providerType) {
-      providerSelect.value = result.providerType;
-    }
-
-    if (result.baseUrl) {
-      baseUrlInput.value = result.baseUrl;
-    } else {
-      // Set default based on provider
-      baseUrlInput.value = PROVIDER_DEFAULTS[providerSelect.value].baseUrl;
-    }
-
-    if (result.model) {
-      modelInput.value = result.model;
-    } else {
-      modelInput.value = PROVIDER_DEFAULTS[providerSelect.value].model;
-    }
-
-    if (result.apiToken) {
-      apiTokenInput.value = result.apiToken;
-    }
-
-    // Load system prompt
-    if (result.systemPrompt) {
-      systemPromptInput.value = result.systemPrompt;
-    } else {
-      systemPromptInput.value = DEFAULTS.SYSTEM_PROMPT;
-    }
-
-    // Load user message template
-    if (result.userMessage) {
-      userMessageInput.value = result.userMessage;
-    } else {
-      userMessageInput.value = DEFAULTS.USER_MESSAGE;
-    }
-
-    // Update placeholder
-    baseUrlInput.placeholder = PROVIDER_DEFAULTS[providerSelect.value].baseUrl;
-    modelInput.placeholder = PROVIDER_DEFAULTS[providerSelect.value].model;
-
+    const settings = await loadSettings();
+    const provider = getProvider(settings.providerType);
+
+    providerSummary.textContent = [
+      provider.label,
+      settings.model || provider.defaults.model,
+      settings.secretsLocked ? 'API keys locked' : null
+    ].filter(Boolean).join(' · ');
+
+    sourceLanguageSelect.value = settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE;
+    targetLanguageSelect.value = settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE;
+    streamResponseInput.checked = settings.streamResponse !== false;
+    selectionButtonInput.checked = settings.selectionButton === true;
+    historyEnabledInput.checked = settings.historyEnabled !== false;
   } catch (error) {
+    providerSummary.textContent = 'Settings unavailable';
     console.error('Failed to load settings:', error);
   }
 }
 
-// Save settings to Chrome storage
-function saveSettings(settings) {
-  return chrome.storage.local.set(settings);
-}
-
-// Validate settings
-function validateSettings(settings) {
-  if (!settings.baseUrl) {
-    showStatus('Base URL is required', 'error');
-    baseUrlInput.focus();
-    return false;
-  }
-
-  // Validate URL format
+// Save the quick settings on top of the stored ones
+async function saveQuickSettings() {
   try {
-    new URL(settings.baseUrl);
-  } catch {
-    showStatus('Please enter a valid URL', 'error');
-    baseUrlInput.focus();
-    return false;
-  }
-
-  if (!settings.model) {
-    showStatus('Model name is required', 'error');
-    modelInput.focus();
-    return false;
-  }
-
-  if (!settings.apiToken) {
-    showStatus('API Token is required', 'error');
-    apiTokenInput.focus();
-    return false;
+    const { secretsLocked, ...settings } = await loadSettings();
+    const syncWarning = await saveSettings({
+      ...settings,
+      sourceLanguage: sourceLanguageSelect.value,
+      targetLanguage: targetLanguageSelect.value,
+      streamResponse: streamResponseInput.checked,
+      selectionButton: selectionButtonInput.checked,
+      historyEnabled: historyEnabledInput.checked
+    });
+    if (syncWarning) {
+      showStatus(`Saved. ${syncWarning}`, 'warning');
+    }
+  } catch (error) {
+    showStatus('Failed to save settings: ' + error.message, 'error');
+    showQuickSettings();
   }
-
-  return true;
 }
 
 // Show status message
@@ -0,0 +1,66 @@
+// Vibe Translate - Named Presets
+// A preset bundles a provider, model, prompts and temperature under a name
+// so a selection can be translated in a different style from the context menu.
+
+import { getProvider } from './providers.js';
+
+// Preset fields that replace the stored settings when set
+const PRESET_TEXT_FIELDS = ['model', 'systemPrompt', 'userMessage'];
+
+/**
+ * Find a preset by id in the stored settings
+ */
+export function getPreset(settings, presetId) {
+    return (settings.presets || []).find(preset => preset.id === presetId) || null;
+}
+
+/**
+ * Apply the preset named by `settings.presetId`, if any, on top of the settings.
+ * Empty preset fields keep the stored values. A preset that picks a different
+ * provider borrows the URL and API token of the first fallback profile for that
+ * provider, since presets do not store credentials themselves.
+ *
+ * @throws {Error} If the preset was deleted or its provider has no API token
+ */
+export function applyPreset(settings) {
+    if (!settings.presetId) {
+        return settings;
+    }
+
+    const preset = getPreset(settings, settings.presetId);
+    if (!preset) {
+        throw new Error('This preset no longer exists. Choose another one from the menu.');
+    }
+
+    const resolved = { ...settings, presetName: preset.name };
+
+    if (preset.providerType && preset.providerType !== settings.providerType) {
+        const provider = getProvider(preset.providerType);
+        const profile = (settings.fallbackProfiles || [])
+            .find(fallback => fallback.providerType === preset.providerType);
+
+        if (provider.requiresApiKey && !profile?.apiToken) {
+            throw new Error(`Preset "${preset.name}" uses ${provider.label}, which has no API token. Add ${provider.label} as a fallback provider in the settings.`);
+        }
+
+        Object.assign(resolved, {
+            providerType: preset.providerType,
+            baseUrl: profile?.baseUrl || '',
+            model: profile?.model || '',
+            apiToken: profile?.apiToken || '',
+            apiVersion: profile?.apiVersion || ''
+        });
+    }
+
+    for (const field of PRESET_TEXT_FIELDS) {
+        if (preset[field]) {
+            resolved[field] = preset[field];
+        }
+    }
+
+    if (typeof preset.temperature === 'number') {
+        resolved.temperature = preset.temperature;
+    }
+
+    return resolved;
+}
@@ -0,0 +1,63 @@
+// Vibe Translate - Prompt Rendering
+// Fills {{placeholder}} templates with the selection context and language settings
+import { DEFAULTS, getLanguageName } from './constants.js';
+
+/**
+ * A made-up selection for previewing prompts and testing connections
+ */
+export const SAMPLE_CONTEXT = {
+    selectedText: 'bank',
+    previousSentence: 'We walked along the river until the path ended.',
+    selectedSentence: 'Then we sat on the bank and watched the boats go by.',
+    nextSentence: 'Nobody wanted to go home.',
+    paragraph: 'We walked along the river until the path ended. Then we sat on the bank and watched the boats go by. Nobody wanted to go home.',
+    nearestHeading: 'A Day by the River',
+    pageTitle: 'Weekend Notes',
+    pageUrl: 'https://example.com/notes/river',
+    pageLanguage: 'en'
+};
+
+/**
+ * Replace every known {{placeholder}} in the template; unknown ones are left as-is
+ */
+export function renderTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+        Object.hasOwn(values, key) ? values[key] : match
+    );
+}
+
+/**
+ * Collect placeholder values for a translation request
+ */
+export function getPromptValues(context, settings) {
+    const sourceLanguage = settings.sourceLanguage || DEFAULTS.SOURCE_LANGUAGE;
+
+    return {
+        text: context.selectedText || '',
+        previousSentence: context.previousSentence || '(none)',
+        nextSentence: context.nextSentence || '(none)',
+        paragraph: context.paragraph || '(none)',
+        pageTitle: context.pageTitle || '(none)',
+        url: context.pageUrl || '(none)',
+        nearestHeading: context.nearestHeading || '(none)',
+        pageLanguage: context.pageLanguage || '(unknown)',
+        targetLanguage: getLanguageName(settings.targetLanguage || DEFAULTS.TARGET_LANGUAGE),
+        sourceLanguage: sourceLanguage === 'auto'
+            ? 'the detected source language'
+            : getLanguageName(sourceLanguage)
+    };
+}
+
+/**
+ * Render the system prompt and user message for a selection context
+ * (use DEFAULTS as fallback). `extraValues` supplies placeholders that are
+ * resolved outside the context, such as {{glossary}}.
+ */
+export function renderPrompts(context, settings, extraValues = {}) {
+    const values = { ...getPromptValues(context, settings), ...extraValues };
+
+    return {
+        systemPrompt: renderTemplate(settings.systemPrompt || DEFAULTS.SYSTEM_PROMPT, values),
+        userMessage: renderTemplate(settings.userMessage || DEFAULTS.USER_MESSAGE, values)
+    };
+}
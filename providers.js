@@ -0,0 +1,874 @@
+// Vibe Translate - Provider Registry
+// Each adapter builds requests, parses responses and maps errors for one API.
+// The popup's provider list and defaults are generated from PROVIDERS, so a new
+// backend only needs an entry here.
+
+// Requests are aborted when no response or stream data arrives for this long
+export const DEFAULT_TIMEOUT_MS = 60000;
+
+// Retries after the first attempt for rate limits, server errors and timeouts
+export const DEFAULT_MAX_RETRIES = 2;
+
+// Sampling temperature unless a preset sets its own
+export const DEFAULT_TEMPERATURE = 0.3;
+
+// Errors that another provider may not run into, so the next fallback profile is tried
+const FALLBACK_KINDS = ['quota', 'auth', 'network'];
+
+// First Azure OpenAI API version that accepts stream_options
+const AZURE_STREAM_USAGE_VERSION = '2024-09-01';
+
+// HTTP statuses matching the error types Anthropic reports in stream events
+const ANTHROPIC_ERROR_STATUS = {
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403,
+    not_found_error: 404,
+    request_too_large: 413,
+    rate_limit_error: 429,
+    api_error: 500,
+    overloaded_error: 529
+};
+
+// Backoff starts here and doubles per attempt; longer Retry-After waits are not retried
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+/**
+ * Error raised for a failed provider call.
+ * `kind` is one of 'auth', 'quota', 'server', 'request', 'network' or 'cancelled'.
+ * Timeouts are reported as 'network'.
+ */
+export class ProviderError extends Error {
+    constructor(message, { provider, status = 0, kind = 'request' } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.kind = kind;
+        // Delay in ms requested by the server's Retry-After header, if any
+        this.retryAfter = null;
+    }
+}
+
+/**
+ * Normalize API URL: remove trailing slashes, check for existing path
+ * Following Cherry Studio's approach for robust URL handling
+ */
+export function normalizeApiUrl(baseUrl, endpoint) {
+    // Remove trailing slashes
+    let url = baseUrl.replace(/\/+$/, '');
+
+    // Check if the endpoint path already exists in the URL
+    if (!url.includes(endpoint)) {
+        url = `${url}/${endpoint}`;
+    }
+
+    return url;
+}
+
+/**
+ * Classify an HTTP status into a ProviderError kind
+ */
+function errorKind(status) {
+    if (status === 401 || status === 403) {
+        return 'auth';
+    }
+    if (status === 402 || status === 429) {
+        return 'quota';
+    }
+    if (status >= 500) {
+        return 'server';
+    }
+    return 'request';
+}
+
+/**
+ * Build a ProviderError from an error response body.
+ * Most APIs wrap the message as `{ error: { message } }`; fall back to the raw body.
+ */
+function mapHttpError(label, status, body) {
+    let detail = body;
+    try {
+        const parsed = JSON.parse(body);
+        detail = parsed.error?.message || parsed.message || body;
+    } catch {
+        // Not JSON, keep the raw body
+    }
+    return new ProviderError(`${label} API error: ${status} - ${detail}`, {
+        provider: label,
+        status,
+        kind: errorKind(status)
+    });
+}
+
+/**
+ * Request body shared by OpenAI-compatible chat completion endpoints.
+ * Streams only report token counts, in a final chunk, when asked to with
+ * `stream_options`, but stricter compatible servers reject the field, so it
+ * is only sent when `includeUsage` is set; see each adapter's `streamsUsage`.
+ * Without a model the body names none, for endpoints that pick it from the URL.
+ */
+function openAIChatBody(model, messages, stream, temperature, includeUsage = false) {
+    return {
+        model: model || undefined,
+        messages: messages,
+        temperature: temperature,
+        max_tokens: 1024,
+        stream: stream,
+        stream_options: stream && includeUsage ? { include_usage: true } : undefined
+    };
+}
+
+/**
+ * Whether a base URL points at OpenAI's own API rather than a compatible server
+ */
+function isOpenAIHost(baseUrl) {
+    try {
+        return new URL(baseUrl).hostname === 'api.openai.com';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The temperature for a request, from a preset or the default
+ */
+function getTemperature(settings) {
+    return settings.temperature ?? DEFAULT_TEMPERATURE;
+}
+
+/**
+ * Extract text from an OpenAI-compatible response / stream chunk
+ */
+function openAIText(data) {
+    return data.choices?.[0]?.message?.content || '';
+}
+
+function openAIDelta(data) {
+    return data.choices?.[0]?.delta?.content || '';
+}
+
+function openAIUsage(data) {
+    return data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null;
+}
+
+function openAIModels(data) {
+    return (data.data || []).map(model => model.id);
+}
+
+export const PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        defaults: {
+            baseUrl: 'https://api.openai.com',
+            model: 'gpt-4'
+        },
+        requiresApiKey: true,
+        tokenPlaceholder: 'sk-...',
+        buildRequest(settings, messages, { stream }) {
+            const baseUrl = settings.baseUrl || this.defaults.baseUrl;
+            return {
+                url: normalizeApiUrl(baseUrl, 'v1/chat/completions'),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${settings.apiToken}`
+                },
+                body: openAIChatBody(
+                    settings.model || this.defaults.model,
+                    messages,
+                    stream,
+                    getTemperature(settings),
+                    this.streamsUsage(settings)
+                )
+            };
+        },
+        // Compatible servers behind a custom URL may reject stream_options
+        streamsUsage(settings) {
+            return isOpenAIHost(settings.baseUrl || this.defaults.baseUrl);
+        },
+        buildModelsRequest(settings) {
+            return {
+                url: normalizeApiUrl(settings.baseUrl || this.defaults.baseUrl, 'v1/models'),
+                headers: { 'Authorization': `Bearer ${settings.apiToken}` }
+            };
+        },
+        parseResponse: openAIText,
+        parseStreamEvent: openAIDelta,
+        parseUsage: openAIUsage,
+        parseModels: openAIModels,
+        mapError(status, body) {
+            return mapHttpError(this.label, status, body);
+        }
+    },
+
+    azure: {
+        label: 'Azure OpenAI',
+        modelLabel: 'Deployment',
+        defaults: {
+            baseUrl: 'https://your-resource.openai.azure.com',
+            model: 'gpt-4o',
+            apiVersion: '2024-10-21'
+        },
+        requiresApiKey: true,
+        tokenPlaceholder: 'Azure API key',
+        buildRequest(settings, messages, { stream }) {
+            const baseUrl = (settings.baseUrl || this.defaults.baseUrl).replace(/\/+$/, '');
+            const deployment = encodeURIComponent(settings.model || this.defaults.model);
+            const apiVersion = settings.apiVersion || this.defaults.apiVersion;
+
+            // Accept either the resource endpoint or a full deployment URL
+            const url = baseUrl.includes('/openai/deployments/')
+                ? normalizeApiUrl(baseUrl, 'chat/completions')
+                : `${baseUrl}/openai/deployments/${deployment}/chat/completions`;
+
+            // Azure takes the model from the deployment in the URL, so the body carries none
+            const body = openAIChatBody(null, messages, stream, getTemperature(settings), this.streamsUsage(settings));
+
+            return {
+                url: `${url}?api-version=${encodeURIComponent(apiVersion)}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': settings.apiToken
+                },
+                body: body
+            };
+        },
+        // API versions are dates, so later ones sort after the first that supports it
+        streamsUsage(settings) {
+            return (settings.apiVersion || this.defaults.apiVersion) >= AZURE_STREAM_USAGE_VERSION;
+        },
+        parseResponse: openAIText,
+        parseStreamEvent: openAIDelta,
+        parseUsage: openAIUsage,
+        mapError(status, body) {
+            return mapHttpError(this.label, status, body);
+        }
+    },
+
+    anthropic: {
+        label: 'Anthropic',
+        defaults: {
+            baseUrl: 'https://api.anthropic.com',
+            model: 'claude-sonnet-4-5'
+        },
+        requiresApiKey: true,
+        tokenPlaceholder: 'sk-ant-...',
+        buildRequest(settings, messages, { stream }) {
+            const baseUrl = settings.baseUrl || this.defaults.baseUrl;
+
+            // The Messages API takes the system prompt as a top-level field
+            const system = messages
+                .filter(message => message.role === 'system')
+                .map(message => message.content)
+                .join('\n\n');
+
+            return {
+                url: normalizeApiUrl(baseUrl, 'v1/messages'),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': settings.apiToken,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: {
+                    model: settings.model || this.defaults.model,
+                    system: system || undefined,
+                    messages: messages.filter(message => message.role !== 'system'),
+                    temperature: getTemperature(settings),
+                    max_tokens: 1024,
+                    stream: stream
+                }
+            };
+        },
+        buildModelsRequest(settings) {
+            return {
+                url: normalizeApiUrl(settings.baseUrl || this.defaults.baseUrl, 'v1/models') + '?limit=1000',
+                headers: {
+                    'x-api-key': settings.apiToken,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                }
+            };
+        },
+        parseResponse(data) {
+            return (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+        },
+        // Streams report usage in their message_start and message_delta events
+        streamsUsage() {
+            return true;
+        },
+        parseStreamEvent(data) {
+            // Errors after the response has started arrive as stream events
+            if (data.type === 'error') {
+                throw mapHttpError(this.label, ANTHROPIC_ERROR_STATUS[data.error?.type] || 500, JSON.stringify(data));
+            }
+            return data.type === 'content_block_delta' ? data.delta?.text || '' : '';
+        },
+        parseUsage(data) {
+            // Streams report input tokens in message_start and output tokens in message_delta
+            const usage = data.usage || data.message?.usage;
+            return usage ? { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens } : null;
+        },
+        parseModels: openAIModels,
+        mapError(status, body) {
+            return mapHttpError(this.label, status, body);
+        }
+    },
+
+    gemini: {
+        label: 'Gemini',
+        defaults: {
+            baseUrl: 'https://generativelanguage.googleapis.com',
+            model: 'gemini-2.0-flash'
+        },
+        requiresApiKey: true,
+        tokenPlaceholder: 'AIza...',
+        buildRequest(settings, messages, { stream }) {
+            const baseUrl = settings.baseUrl || this.defaults.baseUrl;
+            const model = settings.model || this.defaults.model;
+
+            // Streaming uses a different method and needs SSE framing
+            const method = stream
+                ? `streamGenerateContent?alt=sse&key=${settings.apiToken}`
+                : `generateContent?key=${settings.apiToken}`;
+
+            const url = `${this.getModelsUrl(baseUrl)}/${model}:${method}`;
+
+            const system = messages
+                .filter(message => message.role === 'system')
+                .map(message => ({ text: message.content }));
+
+            return {
+                url: url,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: {
+                    systemInstruction: system.length ? { parts: system } : undefined,
+                    contents: messages
+                        .filter(message => message.role !== 'system')
+                        .map(message => ({
+                            role: message.role === 'assistant' ? 'model' : 'user',
+                            parts: [{ text: message.content }]
+                        })),
+                    generationConfig: {
+                        temperature: getTemperature(settings),
+                        maxOutputTokens: 1024
+                    }
+                }
+            };
+        },
+        buildModelsRequest(settings) {
+            const baseUrl = settings.baseUrl || this.defaults.baseUrl;
+            return {
+                url: `${this.getModelsUrl(baseUrl)}?pageSize=1000&key=${settings.apiToken}`,
+                headers: {}
+            };
+        },
+        // The models collection, whether the base URL is the host, includes
+        // the API version or already ends in /models
+        getModelsUrl(baseUrl) {
+            // Normalize URL: remove trailing slashes
+            const url = baseUrl.replace(/\/+$/, '');
+
+            if (url.includes('v1beta/models') || url.includes('v1/models')) {
+                // User provided full path including version
+                return url;
+            }
+            if (url.includes('v1beta') || url.includes('v1')) {
+                // Has version but not models path
+                return `${url}/models`;
+            }
+            // Default: add full path
+            return `${url}/v1beta/models`;
+        },
+        parseResponse(data) {
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            return parts.map(part => part.text || '').join('');
+        },
+        // Stream chunks carry usageMetadata like whole responses do
+        streamsUsage() {
+            return true;
+        },
+        parseStreamEvent(data) {
+            return this.parseResponse(data);
+        },
+        parseUsage(data) {
+            const usage = data.usageMetadata;
+            return usage ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount } : null;
+        },
+        parseModels(data) {
+            // Only models that can generate text; names come as "models/gemini-2.0-flash"
+            return (data.models || [])
+                .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+                .map(model => model.name.replace(/^models\//, ''));
+        },
+        mapError(status, body) {
+            const error = mapHttpError(this.label, status, body);
+            // Gemini reports a bad key as 400 INVALID_ARGUMENT
+            if (body.includes('API_KEY_INVALID')) {
+                error.kind = 'auth';
+            }
+            return error;
+        }
+    },
+
+    ollama: {
+        label: 'Ollama / llama.cpp',
+        defaults: {
+            baseUrl: 'http://localhost:11434',
+            model: 'llama3.2'
+        },
+        requiresApiKey: false,
+        tokenPlaceholder: 'Optional',
+        buildRequest(settings, messages, { stream }) {
+            const baseUrl = settings.baseUrl || this.defaults.baseUrl;
+            const headers = { 'Content-Type': 'application/json' };
+
+            // Local servers usually run without auth; send a token only if one is set
+            if (settings.apiToken) {
+                headers['Authorization'] = `Bearer ${settings.apiToken}`;
+            }
+
+            // Both Ollama and llama.cpp's server expose the OpenAI-compatible endpoint
+            return {
+                url: normalizeApiUrl(baseUrl, 'v1/chat/completions'),
+                headers: headers,
+                body: openAIChatBody(settings.model || this.defaults.model, messages, stream, getTemperature(settings))
+            };
+        },
+        // Not every version of either server accepts stream_options
+        streamsUsage() {
+            return false;
+        },
+        buildModelsRequest(settings) {
+            return {
+                url: normalizeApiUrl(settings.baseUrl || this.defaults.baseUrl, 'v1/models'),
+                headers: settings.apiToken ? { 'Authorization': `Bearer ${settings.apiToken}` } : {}
+            };
+        },
+        parseResponse: openAIText,
+        parseStreamEvent: openAIDelta,
+        parseUsage: openAIUsage,
+        parseModels: openAIModels,
+        mapError(status, body) {
+            return mapHttpError(this.label, status, body);
+        }
+    }
+};
+
+/**
+ * Look up an adapter by id, falling back to OpenAI for unknown or unset ids
+ */
+export function getProvider(providerType) {
+    return PROVIDERS[providerType] || PROVIDERS.openai;
+}
+
+/**
+ * The configured provider followed by each fallback profile, as complete settings.
+ * Profiles only replace the connection fields, so prompts, languages and limits
+ * are shared. Profiles missing a required API key are skipped.
+ */
+export function getProviderProfiles(settings) {
+    const fallbacks = (settings.fallbackProfiles || [])
+        .filter(profile => PROVIDERS[profile.providerType])
+        .map(profile => ({
+            ...settings,
+            providerType: profile.providerType,
+            baseUrl: profile.baseUrl || '',
+            model: profile.model || '',
+            apiToken: profile.apiToken || '',
+            apiVersion: profile.apiVersion || ''
+        }))
+        .filter(profile => !getProvider(profile.providerType).requiresApiKey || profile.apiToken);
+
+    return [settings, ...fallbacks];
+}
+
+/**
+ * The connection fields that identify a provider profile, without its API
+ * token, so a result can name the profile that produced it
+ */
+export function getProfileRef(settings) {
+    return {
+        providerType: settings.providerType,
+        baseUrl: settings.baseUrl || '',
+        model: settings.model || ''
+    };
+}
+
+// Move the profile matching a reference to the front, keeping the others in order
+function preferProfile(profiles, ref) {
+    const index = ref ? profiles.findIndex(profile => (
+        profile.providerType === ref.providerType
+        && (profile.baseUrl || '') === ref.baseUrl
+        && (profile.model || '') === ref.model
+    )) : -1;
+    return index > 0 ? [profiles[index], ...profiles.slice(0, index), ...profiles.slice(index + 1)] : profiles;
+}
+
+/**
+ * Short "Provider · model" description of the settings that served a request
+ */
+export function describeProvider(settings) {
+    const provider = getProvider(settings.providerType);
+    return `${provider.label} · ${settings.model || provider.defaults.model}`;
+}
+
+/**
+ * Fetch the names of the models the provider offers, sorted by name.
+ * Adapters without `buildModelsRequest` (such as Azure, whose deployments
+ * are named by the user) return null.
+ *
+ * @throws {ProviderError} If the request fails
+ */
+export async function listModels(settings) {
+    const provider = getProvider(settings.providerType);
+    if (!provider.buildModelsRequest) {
+        return null;
+    }
+
+    const request = provider.buildModelsRequest(settings);
+    const timeoutMs = settings.requestTimeout ? settings.requestTimeout * 1000 : DEFAULT_TIMEOUT_MS;
+    let response;
+    try {
+        response = await fetch(request.url, {
+            headers: request.headers,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        throw new ProviderError(`${provider.label} network error: ${error.message}`, {
+            provider: provider.label,
+            kind: 'network'
+        });
+    }
+
+    if (!response.ok) {
+        throw provider.mapError(response.status, await response.text().catch(() => ''));
+    }
+
+    const models = provider.parseModels(await response.json());
+    return [...new Set(models)].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read a Server-Sent Events response body and invoke onData with the payload
+ * of every `data:` event. Stops at the OpenAI-style `[DONE]` sentinel.
+ */
+async function readEventStream(response, onData) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    const dispatch = (event) => {
+        const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+
+        if (!data || data === '[DONE]') {
+            return;
+        }
+        onData(data);
+    };
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += value;
+
+            // Events are separated by a blank line; keep the trailing partial event
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(dispatch);
+        }
+
+        if (buffer.trim()) {
+            dispatch(buffer);
+        }
+    } catch (error) {
+        // An error event ends the stream; stop downloading the rest
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ *
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Rate limits, server errors and network failures (including timeouts) are
+ * worth another attempt; everything else fails the same way again.
+ */
+function isRetryable(error) {
+    if (error.kind === 'network' || error.kind === 'server') {
+        return true;
+    }
+    return error.status === 429;
+}
+
+/**
+ * Add the token counts found in a response or stream event to those seen so far.
+ * Counts missing from the event are kept.
+ */
+function mergeUsage(usage, found) {
+    if (!found) {
+        return usage;
+    }
+
+    const merged = { ...usage };
+    for (const [key, value] of Object.entries(found)) {
+        if (typeof value === 'number') {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Resolve after `ms`, or reject as soon as the signal aborts
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Send a chat completion through the configured provider.
+ * `messages` is a list of `{ role: 'system' | 'user' | 'assistant', content }`.
+ * When onDelta is given the response is streamed and onDelta receives each text fragment.
+ *
+ * Failed attempts are retried with exponential backoff (honouring Retry-After)
+ * as long as no streamed text has been delivered yet. `options.signal` cancels
+ * the request, which then rejects with a 'cancelled' ProviderError.
+ * `options.onUsage` receives `{ inputTokens, outputTokens }` and the settings
+ * that made the request whenever the provider reports token counts.
+ */
+export async function requestCompletion(settings, messages, onDelta, options = {}) {
+    const provider = getProvider(settings.providerType);
+    const maxRetries = settings.maxRetries ?? DEFAULT_MAX_RETRIES;
+    let streamed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await attemptCompletion(provider, settings, messages, onDelta && ((delta) => {
+                streamed = true;
+                onDelta(delta);
+            }), options);
+        } catch (error) {
+            if (error.kind === 'cancelled' || streamed || attempt >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+            const delay = error.retryAfter ?? backoff + Math.random() * backoff / 2;
+            if (delay > RETRY_MAX_DELAY_MS) {
+                throw error;
+            }
+
+            console.warn(`[Vibe Translate] ${error.message}; retrying in ${Math.round(delay / 1000)}s`);
+            try {
+                await wait(delay, options.signal);
+            } catch {
+                throw new ProviderError(`${provider.label} request cancelled`, {
+                    provider: provider.label,
+                    kind: 'cancelled'
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Make a single request. A timer aborts it when nothing arrives within the
+ * timeout; it restarts on every stream chunk so long replies are not cut off.
+ * With a monthly budget set, providers whose streams report no token counts
+ * are asked for the whole reply instead, which onDelta then receives at once,
+ * so streaming cannot get around the budget.
+ */
+async function attemptCompletion(provider, settings, messages, onDelta, { signal, onUsage } = {}) {
+    const stream = Boolean(onDelta) && (!Number(settings.monthlyBudget) || provider.streamsUsage(settings));
+    const request = provider.buildRequest(settings, messages, { stream });
+    const timeoutMs = settings.requestTimeout ? settings.requestTimeout * 1000 : DEFAULT_TIMEOUT_MS;
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const resetTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) {
+        controller.abort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    resetTimer();
+
+    // Turn an abort into a cancelled or timed-out error
+    const toProviderError = (error) => {
+        if (error instanceof ProviderError) {
+            return error;
+        }
+        if (timedOut) {
+            return new ProviderError(`${provider.label} request timed out after ${Math.round(timeoutMs / 1000)}s`, {
+                provider: provider.label,
+                kind: 'network'
+            });
+        }
+        if (controller.signal.aborted) {
+            return new ProviderError(`${provider.label} request cancelled`, {
+                provider: provider.label,
+                kind: 'cancelled'
+            });
+        }
+        return new ProviderError(`${provider.label} network error: ${error.message}`, {
+            provider: provider.label,
+            kind: 'network'
+        });
+    };
+
+    try {
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw toProviderError(error);
+        }
+
+        if (!response.ok) {
+            const error = provider.mapError(response.status, await response.text().catch(() => ''));
+            error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            throw error;
+        }
+
+        try {
+            if (stream) {
+                let text = '';
+                let usage = null;
+                await readEventStream(response, (data) => {
+                    resetTimer();
+                    const event = JSON.parse(data);
+                    const delta = provider.parseStreamEvent(event);
+                    usage = mergeUsage(usage, provider.parseUsage(event));
+                    if (delta) {
+                        text += delta;
+                        onDelta(delta);
+                    }
+                });
+                if (usage) {
+                    onUsage?.(usage, settings);
+                }
+                return requireText(provider, text);
+            }
+
+            const data = await response.json();
+            const usage = provider.parseUsage(data);
+            if (usage) {
+                onUsage?.(usage, settings);
+            }
+            const text = requireText(provider, provider.parseResponse(data));
+            onDelta?.(text);
+            return text;
+        } catch (error) {
+            // Aborts while reading the body; JSON errors are re-thrown unchanged
+            if (controller.signal.aborted) {
+                throw toProviderError(error);
+            }
+            throw error;
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * A reply with no text, usually one stopped by a content filter, is an error
+ * rather than a result that could be cached or saved to history
+ */
+function requireText(provider, text) {
+    if (!text.trim()) {
+        throw new ProviderError(`${provider.label} returned an empty reply; it may have been blocked by a content filter`, {
+            provider: provider.label
+        });
+    }
+    return text;
+}
+
+/**
+ * Send a chat completion, falling through the fallback profiles when a provider
+ * fails with a quota, auth or network error. A provider that has already
+ * streamed text is not replaced, since that text was shown to the user.
+ * `options.preferredProfile`, from `getProfileRef`, is tried first when it is
+ * still configured, so follow-ups go to the profile that gave the answer.
+ *
+ * @returns {Promise<{text: string, settings: Object, fallback: boolean}>} The reply,
+ *   the settings of the profile that produced it and whether it was a fallback
+ */
+export async function requestCompletionWithFallback(settings, messages, onDelta, options = {}) {
+    const profiles = preferProfile(getProviderProfiles(settings), options.preferredProfile);
+    let streamed = false;
+    const forward = onDelta && ((delta) => {
+        streamed = true;
+        onDelta(delta);
+    });
+
+    for (let index = 0; ; index++) {
+        const profile = profiles[index];
+        try {
+            const text = await requestCompletion(profile, messages, forward, options);
+            return { text, settings: profile, fallback: profile !== settings };
+        } catch (error) {
+            const next = profiles[index + 1];
+            if (!next || streamed || !FALLBACK_KINDS.includes(error.kind)) {
+                throw error;
+            }
+            console.warn(`[Vibe Translate] ${error.message}; falling back to ${describeProvider(next)}`);
+        }
+    }
+}
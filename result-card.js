@@ -0,0 +1,1089 @@
+// Vibe Translate - Translation result cards
+// Loaded after content.js and shares its globals (escapeHtml).
+// Each card lives in a closed shadow root so page styles cannot reach it.
+
+/**
+ * Card placement: gap to the selection, margin to the viewport edges,
+ * and the space a card needs below the selection before it opens above.
+ */
+const CARD_GAP = 8;
+const CARD_MARGIN = 8;
+const CARD_MIN_SPACE = 220;
+
+// Cards open at most this tall; resizing can make them taller
+const CARD_MAX_HEIGHT = 400;
+
+// Width of each provider's column when comparing providers
+const COMPARE_COLUMN_WIDTH = 240;
+
+// Selections up to this many words get an Explain button
+const EXPLAIN_MAX_WORDS = 4;
+
+// Open cards by id. At most one card is unpinned; a new translation replaces it.
+const resultCards = new Map();
+
+// Selection rects captured by extractContext, used to place each card
+const cardAnchors = new Map();
+
+// Cards closed by the user; late messages for them are dropped
+const closedCards = new Set();
+
+/**
+ * Remembers where the current selection is so its card can open next to it.
+ *
+ * @returns {string} Id the service worker sends back with the card's messages
+ */
+function reserveResultCard() {
+  const cardId = crypto.randomUUID();
+  const rect = getSelectionRect();
+  if (rect) {
+    cardAnchors.set(cardId, rect);
+  }
+  return cardId;
+}
+
+/**
+ * Bounding rect of the selection, or of the focused field for selections
+ * inside inputs and textareas, in viewport coordinates
+ */
+function getSelectionRect() {
+  const selection = window.getSelection();
+  if (selection && selection.rangeCount > 0) {
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    if (rect.width || rect.height) {
+      return rect;
+    }
+  }
+
+  const active = document.activeElement;
+  return active && active !== document.body ? active.getBoundingClientRect() : null;
+}
+
+/**
+ * Shows a translation result in its card.
+ * Loading, streaming and final states swap in place within the card.
+ */
+function showTranslationPopup(data) {
+  const card = getResultCard(data.cardId);
+  if (!card) {
+    return;
+  }
+
+  card.content.innerHTML = getPopupContent(data);
+
+  // Remember the in-flight request so Cancel and close can abort it
+  card.requestId = (data.loading || data.streaming || data.comparing || data.followUpPending) && data.requestId
+    ? data.requestId
+    : null;
+
+  const cancelBtn = card.content.querySelector('.cancel-btn');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => closeResultCard(card));
+  }
+
+  // Add copy button handler if translation exists
+  // After follow-ups, copy the latest answer
+  const copyBtn = card.content.querySelector('.copy-btn');
+  const latestAnswer = data.thread?.findLast(turn => turn.answer)?.answer;
+  if (copyBtn && data.translation) {
+    copyBtn.addEventListener('click', () => copyTranslation(copyBtn, latestAnswer || data.translation));
+  }
+
+  // Side-by-side results each have their own copy button
+  if (data.comparison) {
+    widenResultCard(card, data.comparison.length);
+    for (const button of card.content.querySelectorAll('.compare-copy-btn')) {
+      button.addEventListener('click', () => {
+        copyTranslation(button, data.comparison[button.dataset.index].translation);
+      });
+    }
+  }
+
+  // Save the term with its translation and context sentence
+  const vocabularyBtn = card.content.querySelector('.vocabulary-btn');
+  if (vocabularyBtn && data.context) {
+    vocabularyBtn.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveVocabulary',
+        context: data.context,
+        overrides: data.overrides,
+        translation: data.translation
+      });
+
+      vocabularyBtn.textContent = response?.error ? '✕ Not saved' : '✓ Saved';
+      vocabularyBtn.title = response?.error || '';
+      vocabularyBtn.disabled = !response?.error;
+    });
+  }
+
+  // Read the original or the translation aloud
+  if (card.speaking) {
+    chrome.runtime.sendMessage({ action: 'stopSpeaking' });
+    card.speaking = null;
+  }
+  for (const button of card.content.querySelectorAll('.speak-btn')) {
+    button.addEventListener('click', () => toggleSpeech(card, button, data));
+  }
+
+  // Continue the conversation; the whole result goes back with the question
+  const followUpForm = card.content.querySelector('.follow-up');
+  if (followUpForm) {
+    const input = followUpForm.querySelector('.follow-up-input');
+
+    // Keep typing away from page shortcuts and the selection button
+    for (const type of ['keydown', 'keyup', 'keypress']) {
+      input.addEventListener(type, (e) => e.stopPropagation());
+    }
+
+    followUpForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const question = input.value.trim();
+      if (question) {
+        chrome.runtime.sendMessage({ action: 'followUp', question, result: data });
+      }
+    });
+
+    if (data.thread?.length) {
+      card.content.scrollTop = card.content.scrollHeight;
+      if (!data.followUpPending) {
+        input.focus();
+      }
+    }
+  }
+
+  // Replace the translation with a dictionary-style explanation
+  const explainBtn = card.content.querySelector('.explain-btn');
+  if (explainBtn && data.context) {
+    explainBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'explain',
+        context: data.context,
+        overrides: data.overrides
+      });
+    });
+  }
+
+  // Ask the service worker for a fresh translation, skipping the cache.
+  // The context carries the card id, so the result comes back to this card.
+  const retranslateBtn = card.content.querySelector('.retranslate-btn');
+  if (retranslateBtn && data.context) {
+    retranslateBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'retranslate',
+        context: data.context,
+        overrides: data.overrides
+      });
+    });
+  }
+}
+
+/**
+ * Words and short phrases, which an explanation suits better than a sentence
+ */
+function isExplainable(text) {
+  const trimmed = (text || '').trim();
+  return trimmed.length > 0 && trimmed.length <= 40 && trimmed.split(/\s+/).length <= EXPLAIN_MAX_WORDS;
+}
+
+/**
+ * Copies a translation and confirms it on the button for a moment
+ */
+function copyTranslation(button, text) {
+  navigator.clipboard.writeText(text).then(() => {
+    const label = button.textContent;
+    button.textContent = '✓ Copied!';
+    button.classList.add('copied');
+    setTimeout(() => {
+      button.textContent = label;
+      button.classList.remove('copied');
+    }, 2000);
+  });
+}
+
+/**
+ * Widens a card to fit one column per compared provider, keeping it on screen
+ */
+function widenResultCard(card, columns) {
+  const width = Math.min(columns * COMPARE_COLUMN_WIDTH, window.innerWidth - CARD_MARGIN * 2);
+  if (card.element.offsetWidth >= width) {
+    return;
+  }
+
+  card.element.style.width = `${width}px`;
+
+  const rect = card.host.getBoundingClientRect();
+  if (rect.right > window.innerWidth - CARD_MARGIN) {
+    Object.assign(card.host.style, { left: `${window.innerWidth - width - CARD_MARGIN}px`, right: '' });
+  }
+}
+
+/**
+ * Latency and token counts of one compared provider, e.g. "1.2 s · 48 → 12 tokens"
+ */
+function formatComparisonStats(result) {
+  const stats = [`${(result.latencyMs / 1000).toFixed(1)} s`];
+  if (result.usage) {
+    stats.push(`${result.usage.inputTokens ?? '?'} → ${result.usage.outputTokens ?? '?'} tokens`);
+  }
+  return stats.join(' · ');
+}
+
+/**
+ * Appends a streamed fragment to the translation shown in the card,
+ * switching the card into its streaming state on the first fragment.
+ */
+function appendTranslationChunk(data) {
+  const card = getResultCard(data.cardId);
+  if (!card) {
+    return;
+  }
+
+  let target = card.content.querySelector('.translation-text.streaming');
+
+  if (!target) {
+    showTranslationPopup({ streaming: true, originalText: data.originalText, requestId: data.requestId, cardId: card.id });
+    target = card.content.querySelector('.translation-text.streaming');
+  }
+
+  target.textContent += data.delta;
+
+  // Keep the newest text visible while streaming
+  card.content.scrollTop = card.content.scrollHeight;
+}
+
+/**
+ * Finds the card a message belongs to, creating it on the first message.
+ * Messages without a card id (errors raised before the selection was read)
+ * go to the newest card.
+ *
+ * @returns {Object|null} The card, or null if the user already closed it
+ */
+function getResultCard(cardId) {
+  if (cardId && closedCards.has(cardId)) {
+    return null;
+  }
+
+  const existing = cardId ? resultCards.get(cardId) : [...resultCards.values()].pop();
+  if (existing) {
+    return existing;
+  }
+
+  // A new translation replaces the unpinned card
+  for (const card of resultCards.values()) {
+    if (!card.pinned) {
+      closeResultCard(card);
+    }
+  }
+
+  const card = createResultCard(cardId || crypto.randomUUID(), cardAnchors.get(cardId));
+  cardAnchors.delete(cardId);
+  return card;
+}
+
+/**
+ * Creates a card in a closed shadow root, next to the anchor rect if given
+ */
+function createResultCard(id, anchor) {
+  const host = document.createElement('div');
+  host.setAttribute('data-vibe-translate-ui', '');
+  host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>${RESULT_CARD_STYLES}</style>
+    <div class="card">
+      <div class="card-header">
+        <span class="card-title">Vibe Translate</span>
+        <button class="pin-btn" title="Pin: keep this card open">📌</button>
+        <button class="close-btn" title="Close">&times;</button>
+      </div>
+      <div class="card-content"></div>
+    </div>
+  `;
+
+  const card = {
+    id,
+    host,
+    element: root.querySelector('.card'),
+    content: root.querySelector('.card-content'),
+    requestId: null,
+    pinned: false
+  };
+
+  placeResultCard(card, anchor);
+  makeDraggable(card, root.querySelector('.card-header'));
+
+  // Pressing the resize grip targets the card itself; lift the opening
+  // height limit so the card can be resized up to the viewport
+  card.element.addEventListener('pointerdown', (e) => {
+    if (e.target === card.element) {
+      card.element.style.maxHeight = '';
+    }
+  });
+
+  const pinBtn = root.querySelector('.pin-btn');
+  pinBtn.addEventListener('click', () => {
+    card.pinned = !card.pinned;
+    card.element.classList.toggle('pinned', card.pinned);
+    pinBtn.title = card.pinned ? 'Unpin: close with the next translation' : 'Pin: keep this card open';
+  });
+
+  root.querySelector('.close-btn').addEventListener('click', () => closeResultCard(card));
+
+  document.documentElement.appendChild(host);
+  resultCards.set(id, card);
+  return card;
+}
+
+/**
+ * Opens the card below the selection, or above it when there is too little
+ * room below. Above the selection the card is anchored by its bottom edge,
+ * so it grows upwards while streaming.
+ */
+function placeResultCard(card, anchor) {
+  const style = card.host.style;
+  const width = Math.min(380, window.innerWidth - CARD_MARGIN * 2);
+  card.element.style.width = `${width}px`;
+
+  if (!anchor) {
+    style.top = '20px';
+    style.right = '20px';
+    card.element.style.maxHeight = `${CARD_MAX_HEIGHT}px`;
+    return;
+  }
+
+  const left = Math.min(Math.max(anchor.left, CARD_MARGIN), window.innerWidth - width - CARD_MARGIN);
+  const spaceBelow = window.innerHeight - anchor.bottom - CARD_GAP - CARD_MARGIN;
+  const spaceAbove = anchor.top - CARD_GAP - CARD_MARGIN;
+  style.left = `${left}px`;
+
+  if (spaceBelow >= CARD_MIN_SPACE || spaceBelow >= spaceAbove) {
+    const top = Math.min(Math.max(anchor.bottom + CARD_GAP, CARD_MARGIN), window.innerHeight - CARD_MIN_SPACE);
+    style.top = `${top}px`;
+    card.element.style.maxHeight = `${Math.min(CARD_MAX_HEIGHT, window.innerHeight - top - CARD_MARGIN)}px`;
+  } else {
+    style.bottom = `${window.innerHeight - anchor.top + CARD_GAP}px`;
+    card.element.style.maxHeight = `${Math.min(CARD_MAX_HEIGHT, spaceAbove)}px`;
+  }
+}
+
+/**
+ * Moves the card with the pointer while its header is dragged
+ */
+function makeDraggable(card, handle) {
+  handle.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || e.target.closest('button')) {
+      return;
+    }
+
+    // Switch to top/left positioning from wherever the card is now
+    const rect = card.host.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    Object.assign(card.host.style, { top: `${rect.top}px`, left: `${rect.left}px`, right: '', bottom: '' });
+
+    handle.setPointerCapture(e.pointerId);
+    e.preventDefault();
+
+    const onMove = (event) => {
+      const maxLeft = window.innerWidth - rect.width;
+      const maxTop = window.innerHeight - handle.offsetHeight;
+      card.host.style.left = `${Math.min(Math.max(event.clientX - offsetX, 0), maxLeft)}px`;
+      card.host.style.top = `${Math.min(Math.max(event.clientY - offsetY, 0), maxTop)}px`;
+    };
+
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.removeEventListener('pointercancel', onUp);
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+  });
+}
+
+/**
+ * Removes a card, cancelling its translation if one is still running
+ */
+function closeResultCard(card) {
+  if (card.requestId) {
+    chrome.runtime.sendMessage({ action: 'cancelTranslation', requestId: card.requestId });
+  }
+  if (card.speaking) {
+    chrome.runtime.sendMessage({ action: 'stopSpeaking' });
+  }
+  closedCards.add(card.id);
+  resultCards.delete(card.id);
+  card.host.remove();
+}
+
+// Clicking elsewhere on the page closes the unpinned card
+document.addEventListener('click', (e) => {
+  for (const card of resultCards.values()) {
+    if (!card.pinned && !e.composedPath().includes(card.host)) {
+      closeResultCard(card);
+    }
+  }
+});
+
+/**
+ * Generate card content based on data state
+ */
+function getPopupContent(data) {
+  if (data.loading) {
+    return `
+      <div class="loading">
+        <div class="spinner"></div>
+        <span>Translating...</span>
+        <button class="secondary-btn cancel-btn" title="Stop this translation">Cancel</button>
+      </div>
+    `;
+  }
+
+  if (data.error) {
+    return `
+      <div class="error">
+        <strong>Error:</strong> ${escapeHtml(data.error)}
+      </div>
+    `;
+  }
+
+  if (data.comparison) {
+    return `
+      <div class="section">
+        <div class="section-label">Original</div>
+        <div class="section-text">${escapeHtml(data.originalText || '')}</div>
+      </div>
+      <div class="comparison">
+        ${data.comparison.map((result, index) => `
+          <div class="comparison-column">
+            <div class="section-label">${escapeHtml(result.provider)}</div>
+            ${result.pending ? `
+              <div class="loading">
+                <div class="spinner"></div>
+                <span>Translating...</span>
+              </div>
+            ` : result.error ? `
+              <div class="error">${escapeHtml(result.error)}</div>
+            ` : `
+              <div class="section-text translation-text">${escapeHtml(result.translation)}</div>
+            `}
+            ${result.pending ? '' : `<div class="provider-info">${escapeHtml(formatComparisonStats(result))}</div>`}
+            ${result.translation ? `<button class="copy-btn compare-copy-btn" data-index="${index}">Copy</button>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      ${data.comparing ? `
+        <div class="popup-actions">
+          <button class="secondary-btn cancel-btn" title="Stop all providers">Cancel</button>
+        </div>
+      ` : ''}
+    `;
+  }
+
+  if (data.explanation) {
+    return getExplanationContent(data);
+  }
+
+  if (data.streaming) {
+    return `
+      <div class="section">
+        <div class="section-label">Original</div>
+        <div class="section-text">${escapeHtml(data.originalText || '')}</div>
+      </div>
+      <div class="section">
+        <div class="section-label">Translation</div>
+        <div class="section-text translation-text streaming"></div>
+      </div>
+      <div class="popup-actions">
+        <button class="secondary-btn cancel-btn" title="Stop this translation">Cancel</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="section">
+      <div class="section-label">Original <button class="speak-btn" data-part="original" title="Listen">🔊</button></div>
+      <div class="section-text" data-speech="original">${escapeHtml(data.originalText || '')}</div>
+    </div>
+    <div class="section">
+      <div class="section-label">
+        Translation${data.cached ? '<span class="badge" title="Served from the translation cache">Cached</span>' : ''}
+        <button class="speak-btn" data-part="translation" title="Listen">🔊</button>
+      </div>
+      <div class="section-text translation-text" data-speech="translation">${escapeHtml(data.translation || '')}</div>
+      ${data.provider ? `
+        <div class="provider-info${data.fallback ? ' fallback' : ''}">
+          via ${escapeHtml(data.provider)}${data.fallback ? ' (fallback)' : ''}
+        </div>
+      ` : ''}
+    </div>
+    ${(data.thread || []).map(turn => `
+      <div class="section">
+        <div class="follow-up-question">${escapeHtml(turn.question)}</div>
+        ${turn.error ? `
+          <div class="error">${escapeHtml(turn.error)}</div>
+        ` : `
+          <div class="section-text translation-text${turn.pending ? ' streaming' : ''}">${escapeHtml(turn.answer || '')}</div>
+        `}
+      </div>
+    `).join('')}
+    ${data.explainFailed ? `
+      <div class="notice-warning">
+        The model did not return a structured explanation, so its reply is shown as is.
+      </div>
+    ` : ''}
+    ${data.budgetWarning ? `<div class="notice-warning">${escapeHtml(data.budgetWarning)}</div>` : ''}
+    ${data.glossaryWarnings?.length ? `
+      <div class="glossary-warning">
+        <strong>Glossary terms missing:</strong>
+        ${data.glossaryWarnings.map(entry =>
+          `<div>${escapeHtml(entry.source)} → ${escapeHtml(entry.target)}</div>`
+        ).join('')}
+      </div>
+    ` : ''}
+    <div class="popup-actions">
+      <button class="copy-btn">Copy Translation</button>
+      <button class="secondary-btn vocabulary-btn" title="Save to vocabulary">☆ Save</button>
+      ${isExplainable(data.originalText) ? '<button class="secondary-btn explain-btn" title="Explain this word or phrase">📖 Explain</button>' : ''}
+      <button class="secondary-btn retranslate-btn" title="Translate again, bypassing the cache">↻ Retranslate</button>
+    </div>
+    ${data.messages ? `
+      <form class="follow-up">
+        <input type="text" class="follow-up-input" placeholder="Follow up, e.g. “more formal” or “why this word?”"
+          ${data.followUpPending ? 'disabled' : ''}>
+        <button type="submit" class="secondary-btn" ${data.followUpPending ? 'disabled' : ''}>Send</button>
+      </form>
+    ` : ''}
+  `;
+}
+
+/**
+ * Dictionary-style card: headword with pronunciation and part of speech,
+ * then the translation, meaning in context, other meanings and examples
+ */
+function getExplanationContent(data) {
+  const explanation = data.explanation;
+
+  return `
+    <div class="headword">
+      <span class="headword-text" data-speech="original">${escapeHtml(data.originalText || '')}</span>
+      <button class="speak-btn" data-part="original" title="Listen">🔊</button>
+      ${explanation.pronunciation ? `<span class="pronunciation">${escapeHtml(explanation.pronunciation)}</span>` : ''}
+      ${explanation.partOfSpeech ? `<span class="part-of-speech">${escapeHtml(explanation.partOfSpeech)}</span>` : ''}
+    </div>
+    <div class="section">
+      <div class="section-label">Translation <button class="speak-btn" data-part="translation" title="Listen">🔊</button></div>
+      <div class="section-text translation-text" data-speech="translation">${escapeHtml(explanation.translation)}</div>
+      ${data.provider ? `
+        <div class="provider-info${data.fallback ? ' fallback' : ''}">
+          via ${escapeHtml(data.provider)}${data.fallback ? ' (fallback)' : ''}
+        </div>
+      ` : ''}
+    </div>
+    ${explanation.definition ? `
+      <div class="section">
+        <div class="section-label">In this context</div>
+        <div class="definition">${escapeHtml(explanation.definition)}</div>
+      </div>
+    ` : ''}
+    ${explanation.alternatives.length ? `
+      <div class="section">
+        <div class="section-label">Other meanings</div>
+        <ul class="alternatives">
+          ${explanation.alternatives.map(meaning => `<li>${escapeHtml(meaning)}</li>`).join('')}
+        </ul>
+      </div>
+    ` : ''}
+    ${explanation.examples.length ? `
+      <div class="section">
+        <div class="section-label">Examples</div>
+        ${explanation.examples.map(example => `
+          <div class="example">
+            <div>${escapeHtml(example.sentence)}</div>
+            ${example.translation ? `<div class="example-translation">${escapeHtml(example.translation)}</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+    ${data.budgetWarning ? `<div class="notice-warning">${escapeHtml(data.budgetWarning)}</div>` : ''}
+    <div class="popup-actions">
+      <button class="copy-btn">Copy Translation</button>
+      <button class="secondary-btn vocabulary-btn" title="Save to vocabulary">☆ Save</button>
+    </div>
+  `;
+}
+
+/**
+ * Card styles. Colors are custom properties so the light theme
+ * only has to override them.
+ */
+const RESULT_CARD_STYLES = `
+  :host {
+    --card-bg: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    --card-border: rgba(59, 130, 246, 0.3);
+    --card-shadow: 0 20px 40px rgba(0, 0, 0, 0.4);
+    --header-bg: rgba(59, 130, 246, 0.1);
+    --header-border: rgba(59, 130, 246, 0.2);
+    --text: #f8fafc;
+    --text-secondary: #94a3b8;
+    --text-muted: #64748b;
+    --section-text: #e2e8f0;
+    --section-bg: rgba(30, 41, 59, 0.8);
+    --section-border: rgba(148, 163, 184, 0.1);
+    --translation-bg: rgba(59, 130, 246, 0.1);
+    --translation-border: rgba(59, 130, 246, 0.2);
+    --button-bg: rgba(148, 163, 184, 0.1);
+    --button-border: rgba(148, 163, 184, 0.2);
+    --button-text: #cbd5e1;
+    --button-hover-bg: rgba(148, 163, 184, 0.2);
+    --error-text: #fca5a5;
+    --warning-text: #fde047;
+    --success-text: #4ade80;
+    --fallback-text: #fbbf24;
+  }
+
+  @media (prefers-color-scheme: light) {
+    :host {
+      --card-bg: linear-gradient(135deg, #ffffff 0%, #f1f5f9 100%);
+      --card-border: rgba(59, 130, 246, 0.35);
+      --card-shadow: 0 20px 40px rgba(15, 23, 42, 0.18);
+      --header-bg: rgba(59, 130, 246, 0.08);
+      --header-border: rgba(59, 130, 246, 0.18);
+      --text: #0f172a;
+      --text-secondary: #475569;
+      --text-muted: #64748b;
+      --section-text: #1e293b;
+      --section-bg: rgba(241, 245, 249, 0.9);
+      --section-border: rgba(100, 116, 139, 0.18);
+      --translation-bg: rgba(59, 130, 246, 0.08);
+      --translation-border: rgba(59, 130, 246, 0.25);
+      --button-bg: rgba(100, 116, 139, 0.08);
+      --button-border: rgba(100, 116, 139, 0.25);
+      --button-text: #334155;
+      --button-hover-bg: rgba(100, 116, 139, 0.16);
+      --error-text: #b91c1c;
+      --warning-text: #854d0e;
+      --success-text: #15803d;
+      --fallback-text: #b45309;
+    }
+  }
+
+  .card {
+    display: flex;
+    flex-direction: column;
+    min-width: 240px;
+    min-height: 120px;
+    max-height: calc(100vh - 16px);
+    box-sizing: border-box;
+    background: var(--card-bg);
+    border: 1px solid var(--card-border);
+    border-radius: 12px;
+    box-shadow: var(--card-shadow);
+    font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+    font-size: 14px;
+    color: var(--text);
+    overflow: hidden;
+    resize: both;
+    animation: fadeIn 0.2s ease;
+  }
+
+  .card.pinned {
+    border-color: #8b5cf6;
+  }
+
+  @keyframes fadeIn {
+    from {
+      opacity: 0;
+      transform: translateY(4px);
+    }
+    to {
+      opacity: 1;
+      transform: translateY(0);
+    }
+  }
+
+  button {
+    font-family: inherit;
+  }
+
+  .card-header {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    padding: 10px 12px 10px 16px;
+    background: var(--header-bg);
+    border-bottom: 1px solid var(--header-border);
+    cursor: move;
+    user-select: none;
+    touch-action: none;
+  }
+
+  .card-title {
+    flex: 1;
+    font-size: 14px;
+    font-weight: 600;
+    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  }
+
+  .pin-btn,
+  .close-btn {
+    background: none;
+    border: none;
+    color: var(--text-secondary);
+    cursor: pointer;
+    font-size: 18px;
+    line-height: 1;
+    padding: 4px 8px;
+    border-radius: 4px;
+    transition: all 0.2s;
+  }
+
+  .pin-btn {
+    font-size: 13px;
+    filter: grayscale(1);
+    opacity: 0.6;
+  }
+
+  .pin-btn:hover,
+  .card.pinned .pin-btn {
+    filter: none;
+    opacity: 1;
+  }
+
+  .close-btn:hover {
+    background: rgba(239, 68, 68, 0.2);
+    color: #ef4444;
+  }
+
+  .card-content {
+    flex: 1;
+    min-height: 0;
+    padding: 16px;
+    overflow-y: auto;
+  }
+
+  .section {
+    margin-bottom: 14px;
+  }
+
+  .section:last-child {
+    margin-bottom: 0;
+  }
+
+  .section-label {
+    font-size: 10px;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    color: var(--text-muted);
+    margin-bottom: 6px;
+  }
+
+  .section-text {
+    font-size: 14px;
+    line-height: 1.6;
+    color: var(--section-text);
+    padding: 10px 12px;
+    background: var(--section-bg);
+    border-radius: 8px;
+    border: 1px solid var(--section-border);
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+  }
+
+  .translation-text {
+    background: var(--translation-bg);
+    border-color: var(--translation-border);
+  }
+
+  .translation-text.streaming::after {
+    content: '▍';
+    margin-left: 1px;
+    color: #3b82f6;
+    animation: blink 1s steps(1) infinite;
+  }
+
+  @keyframes blink {
+    50% { opacity: 0; }
+  }
+
+  .loading {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 4px;
+    color: var(--text-secondary);
+  }
+
+  .spinner {
+    width: 20px;
+    height: 20px;
+    box-sizing: border-box;
+    border: 2px solid rgba(59, 130, 246, 0.3);
+    border-top-color: #3b82f6;
+    border-radius: 50%;
+    animation: spin 0.8s linear infinite;
+  }
+
+  .loading .cancel-btn {
+    margin-left: auto;
+    padding: 6px 10px;
+  }
+
+  @keyframes spin {
+    to { transform: rotate(360deg); }
+  }
+
+  .error {
+    padding: 16px;
+    background: rgba(239, 68, 68, 0.1);
+    border: 1px solid rgba(239, 68, 68, 0.3);
+    border-radius: 8px;
+    color: var(--error-text);
+    font-size: 13px;
+  }
+
+  .section-label .badge {
+    margin-left: 6px;
+    padding: 1px 6px;
+    border-radius: 4px;
+    background: rgba(34, 197, 94, 0.15);
+    color: var(--success-text);
+    letter-spacing: 0;
+  }
+
+  .provider-info {
+    margin-top: 6px;
+    font-size: 11px;
+    color: var(--text-muted);
+  }
+
+  .provider-info.fallback {
+    color: var(--fallback-text);
+  }
+
+  .comparison {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+    gap: 10px;
+  }
+
+  .comparison-column {
+    display: flex;
+    flex-direction: column;
+    min-width: 0;
+  }
+
+  .comparison-column .translation-text,
+  .comparison-column .error {
+    flex: 1;
+  }
+
+  .comparison-column .error {
+    padding: 10px 12px;
+  }
+
+  .comparison-column .copy-btn {
+    flex: none;
+    margin-top: 8px;
+    padding: 6px;
+  }
+
+  .speak-btn {
+    margin-left: 4px;
+    padding: 0 4px;
+    background: none;
+    border: none;
+    border-radius: 4px;
+    font-size: 11px;
+    cursor: pointer;
+    filter: grayscale(1);
+    opacity: 0.6;
+    transition: all 0.2s;
+  }
+
+  .speak-btn:hover,
+  .speak-btn.playing {
+    filter: none;
+    opacity: 1;
+  }
+
+  .speak-btn.playing {
+    background: var(--translation-bg);
+  }
+
+  .sentence.speaking {
+    background: rgba(234, 179, 8, 0.3);
+    border-radius: 3px;
+  }
+
+  .follow-up-question {
+    margin-bottom: 6px;
+    font-size: 13px;
+    font-weight: 600;
+    color: var(--text-secondary);
+  }
+
+  .follow-up {
+    display: flex;
+    gap: 8px;
+    margin-top: 12px;
+  }
+
+  .follow-up-input {
+    flex: 1;
+    min-width: 0;
+    padding: 8px 10px;
+    background: var(--section-bg);
+    border: 1px solid var(--section-border);
+    border-radius: 8px;
+    color: var(--text);
+    font: inherit;
+    font-size: 13px;
+    outline: none;
+  }
+
+  .follow-up-input:focus {
+    border-color: #3b82f6;
+  }
+
+  .follow-up .secondary-btn {
+    padding: 8px 12px;
+  }
+
+  .follow-up .secondary-btn:disabled {
+    color: var(--text-muted);
+  }
+
+  .headword {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: baseline;
+    gap: 8px;
+    margin-bottom: 14px;
+  }
+
+  .headword-text {
+    font-size: 20px;
+    font-weight: 600;
+    color: var(--text);
+  }
+
+  .pronunciation {
+    font-size: 13px;
+    color: var(--text-secondary);
+  }
+
+  .part-of-speech {
+    padding: 1px 6px;
+    border-radius: 4px;
+    background: var(--translation-bg);
+    color: #3b82f6;
+    font-size: 11px;
+    font-style: italic;
+  }
+
+  .definition {
+    font-size: 13px;
+    line-height: 1.6;
+    color: var(--section-text);
+  }
+
+  .alternatives {
+    margin: 0;
+    padding-left: 18px;
+    font-size: 13px;
+    line-height: 1.6;
+    color: var(--section-text);
+  }
+
+  .example {
+    margin-bottom: 8px;
+    padding-left: 10px;
+    border-left: 2px solid var(--translation-border);
+    font-size: 13px;
+    line-height: 1.5;
+    color: var(--section-text);
+  }
+
+  .example-translation {
+    color: var(--text-secondary);
+  }
+
+  .notice-warning,
+  .glossary-warning {
+    margin-top: 12px;
+    padding: 10px 12px;
+    background: rgba(234, 179, 8, 0.1);
+    border: 1px solid rgba(234, 179, 8, 0.3);
+    border-radius: 8px;
+    color: var(--warning-text);
+    font-size: 12px;
+    line-height: 1.6;
+  }
+
+  .popup-actions {
+    display: flex;
+    gap: 8px;
+    margin-top: 12px;
+  }
+
+  .copy-btn {
+    flex: 1;
+    padding: 10px;
+    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+    border: none;
+    border-radius: 8px;
+    color: white;
+    font-size: 13px;
+    font-weight: 500;
+    cursor: pointer;
+    transition: all 0.2s;
+  }
+
+  .copy-btn:hover {
+    filter: brightness(1.1);
+    transform: translateY(-1px);
+  }
+
+  .copy-btn.copied {
+    background: #22c55e;
+  }
+
+  .secondary-btn {
+    padding: 10px 12px;
+    background: var(--button-bg);
+    border: 1px solid var(--button-border);
+    border-radius: 8px;
+    color: var(--button-text);
+    font-size: 13px;
+    cursor: pointer;
+    transition: all 0.2s;
+  }
+
+  .secondary-btn:hover {
+    background: var(--button-hover-bg);
+    color: var(--text);
+  }
+
+  .secondary-btn:disabled {
+    cursor: default;
+    color: var(--success-text);
+  }
+`;
+
+// Listen for translation results from the background script
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'showTranslationResult') {
+    showTranslationPopup(message);
+  }
+
+  if (message.action === 'appendTranslationChunk') {
+    appendTranslationChunk(message);
+  }
+});
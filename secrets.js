@@ -0,0 +1,82 @@
+// Vibe Translate - API Token Encryption
+// Tokens are encrypted with AES-GCM under a key derived from the user's
+// passphrase with PBKDF2. Encrypted values are stored base64-encoded.
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * A new random salt for deriving a key from a passphrase
+ */
+export function createSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase. The key is extractable so it can
+ * be kept in session storage for the rest of the browser session.
+ */
+export async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+export async function exportKey(key) {
+    return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+export function importKey(rawKey) {
+    return crypto.subtle.importKey('raw', fromBase64(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt a JSON-serializable value. The salt is stored alongside so the
+ * key can be derived again from the passphrase.
+ *
+ * @returns {Promise<{salt: string, iv: string, data: string}>}
+ */
+export async function encryptJson(key, value, salt) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { salt, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a value from `encryptJson`
+ *
+ * @throws {DOMException} If the key is wrong or the data was altered
+ */
+export async function decryptJson(key, encrypted) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+        key,
+        fromBase64(encrypted.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,167 @@
+// Vibe Translate - Floating translate button for text selections
+// Loaded after content.js and shares its site rule (siteRule). Off unless
+// enabled in settings.
+
+/**
+ * Settings read by this script, with their defaults (content scripts cannot
+ * import constants.js, so the delay mirrors DEFAULTS.SELECTION_BUTTON_DELAY)
+ */
+const SELECTION_BUTTON_SETTINGS = {
+  selectionButton: false,
+  selectionButtonDelay: 300,
+  selectionButtonBlocklist: ''
+};
+
+const selectionButton = {
+  settings: { ...SELECTION_BUTTON_SETTINGS },
+  host: null,
+  timer: null
+};
+
+chrome.storage.local.get(Object.keys(SELECTION_BUTTON_SETTINGS)).then((stored) => {
+  Object.assign(selectionButton.settings, stored);
+});
+
+// Follow settings changes without a page reload
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') {
+    return;
+  }
+  for (const key of Object.keys(SELECTION_BUTTON_SETTINGS)) {
+    if (changes[key]) {
+      selectionButton.settings[key] = changes[key].newValue ?? SELECTION_BUTTON_SETTINGS[key];
+    }
+  }
+  if (!isSelectionButtonEnabled()) {
+    hideSelectionButton();
+  }
+});
+
+/**
+ * Enabled in settings and the current site is not on the blocklist.
+ * Blocklist entries are host names, one per line; "example.com" also
+ * covers its subdomains.
+ */
+function isSelectionButtonEnabled() {
+  if (!selectionButton.settings.selectionButton || siteRule?.disabled) {
+    return false;
+  }
+
+  const host = location.hostname;
+  return !String(selectionButton.settings.selectionButtonBlocklist || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim().toLowerCase().replace(/^\*\./, ''))
+    .filter(Boolean)
+    .some(entry => host === entry || host.endsWith('.' + entry));
+}
+
+/**
+ * Shows the button near the end of the selection after the configured delay
+ */
+function scheduleSelectionButton() {
+  clearTimeout(selectionButton.timer);
+
+  if (!isSelectionButtonEnabled()) {
+    return;
+  }
+
+  selectionButton.timer = setTimeout(() => {
+    const selection = window.getSelection();
+    const text = selection?.toString().trim();
+
+    // Selections in text fields use translate-and-replace instead
+    if (!text || selection.rangeCount === 0 || document.activeElement?.matches('input, textarea, [contenteditable]')) {
+      hideSelectionButton();
+      return;
+    }
+
+    const rects = selection.getRangeAt(0).getClientRects();
+    const rect = rects[rects.length - 1];
+    if (rect) {
+      showSelectionButton(rect, text);
+    }
+  }, Math.max(0, Number(selectionButton.settings.selectionButtonDelay) || 0));
+}
+
+function showSelectionButton(rect, text) {
+  hideSelectionButton();
+
+  const host = document.createElement('div');
+  host.setAttribute('data-vibe-translate-ui', '');
+  host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+  host.style.left = `${Math.min(rect.right + 4, window.innerWidth - 36)}px`;
+  host.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 36)}px`;
+
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>
+      button {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: none;
+        border-radius: 8px;
+        background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        color: white;
+        font: 600 13px 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+        cursor: pointer;
+        animation: pop 0.15s ease;
+      }
+
+      button:hover {
+        filter: brightness(1.1);
+      }
+
+      @keyframes pop {
+        from { transform: scale(0.6); opacity: 0; }
+        to { transform: scale(1); opacity: 1; }
+      }
+    </style>
+    <button title="Translate selection">译</button>
+  `;
+
+  const button = root.querySelector('button');
+
+  // Keep the page selection when the button is pressed
+  button.addEventListener('mousedown', (e) => e.preventDefault());
+  button.addEventListener('click', () => {
+    hideSelectionButton();
+    chrome.runtime.sendMessage({ action: 'translateSelection', selectionText: text });
+  });
+
+  document.documentElement.appendChild(host);
+  selectionButton.host = host;
+}
+
+function hideSelectionButton() {
+  clearTimeout(selectionButton.timer);
+  selectionButton.host?.remove();
+  selectionButton.host = null;
+}
+
+document.addEventListener('mouseup', (e) => {
+  if (e.button === 0 && !e.composedPath().includes(selectionButton.host)) {
+    scheduleSelectionButton();
+  }
+});
+
+// Keyboard selections (Shift+arrows) settle on keyup
+document.addEventListener('keyup', (e) => {
+  if (e.key === 'Escape') {
+    hideSelectionButton();
+  } else if (e.shiftKey) {
+    scheduleSelectionButton();
+  }
+});
+
+document.addEventListener('mousedown', (e) => {
+  if (!e.composedPath().includes(selectionButton.host)) {
+    hideSelectionButton();
+  }
+});
+
+window.addEventListener('scroll', hideSelectionButton, { passive: true, capture: true });
@@ -0,0 +1,363 @@
+// Vibe Translate - Settings Storage
+// Keys read by the service worker and the settings pages.
+// chrome.storage.local always holds the full settings. When sync is on, every
+// setting except API tokens is mirrored to chrome.storage.sync, and tokens can
+// be encrypted with a passphrase that is entered once per browser session.
+
+import { createSalt, decryptJson, deriveKey, encryptJson, exportKey, importKey } from './secrets.js';
+
+export const SETTINGS_KEYS = [
+    'providerType',
+    'baseUrl',
+    'model',
+    'apiToken',
+    'apiVersion',
+    'systemPrompt',
+    'userMessage',
+    'streamResponse',
+    'historyEnabled',
+    'sourceLanguage',
+    'targetLanguage',
+    'replaceTargetLanguage',
+    'contextMode',
+    'contextSentences',
+    'requestTimeout',
+    'maxRetries',
+    'fallbackProfiles',
+    'presets',
+    'siteRules',
+    'selectionButton',
+    'selectionButtonDelay',
+    'selectionButtonBlocklist',
+    'ttsRate',
+    'ttsVoices',
+    'modelPrices',
+    'monthlyBudget',
+    'budgetAction'
+];
+
+// Identifies exported settings files
+const EXPORT_FORMAT = 'vibe-translate-settings';
+const EXPORT_VERSION = 1;
+
+export const SECRETS_LOCKED_MESSAGE = 'API keys are locked. Open the extension settings and enter your passphrase to unlock them.';
+
+/**
+ * Load all settings from Chrome storage.
+ * Encrypted API tokens are decrypted if they were unlocked this session;
+ * otherwise they are left empty and `secretsLocked` is set.
+ */
+export async function loadSettings() {
+    const stored = await chrome.storage.local.get([...SETTINGS_KEYS, 'encryptedSecrets']);
+    const { encryptedSecrets, ...settings } = stored;
+    if (!encryptedSecrets) {
+        return settings;
+    }
+
+    const key = await getSessionKey();
+    if (!key) {
+        return { ...settings, secretsLocked: true };
+    }
+    return withSecrets(settings, await decryptJson(key, encryptedSecrets));
+}
+
+/**
+ * Save settings, encrypting API tokens when encryption is on and mirroring
+ * everything else to sync storage when sync is on. The local save stands
+ * even if syncing fails.
+ *
+ * @returns {Promise<string|null>} A warning if some settings were not synced
+ * @throws {Error} If tokens are encrypted and have not been unlocked
+ */
+export async function saveSettings(settings) {
+    const { encryptedSecrets, syncSettings } = await chrome.storage.local.get(['encryptedSecrets', 'syncSettings']);
+
+    if (encryptedSecrets) {
+        const key = await getSessionKey();
+        if (!key) {
+            throw new Error(SECRETS_LOCKED_MESSAGE);
+        }
+        await chrome.storage.local.set({
+            ...stripSecrets(settings),
+            encryptedSecrets: await encryptJson(key, getSecrets(settings), encryptedSecrets.salt)
+        });
+    } else {
+        await chrome.storage.local.set(settings);
+    }
+
+    return syncSettings ? pushToSync(settings) : null;
+}
+
+/**
+ * Settings without the main API token or the fallback profiles' tokens
+ */
+export function stripSecrets(settings) {
+    const { apiToken, ...rest } = settings;
+    if (rest.fallbackProfiles) {
+        rest.fallbackProfiles = rest.fallbackProfiles.map(({ apiToken, ...profile }) => profile);
+    }
+    return rest;
+}
+
+function getSecrets(settings) {
+    return {
+        apiToken: settings.apiToken || '',
+        fallbackTokens: (settings.fallbackProfiles || []).map(profile => profile.apiToken || '')
+    };
+}
+
+function withSecrets(settings, secrets) {
+    return {
+        ...settings,
+        apiToken: secrets.apiToken,
+        fallbackProfiles: (settings.fallbackProfiles || []).map((profile, index) => ({
+            ...profile,
+            apiToken: secrets.fallbackTokens[index] || ''
+        }))
+    };
+}
+
+/**
+ * Keep this device's tokens for fallback profiles that arrive without them.
+ * Profiles are matched by position and provider, since they have no ids.
+ */
+function restoreProfileTokens(profiles, localProfiles = []) {
+    return profiles.map((profile, index) => ({
+        ...profile,
+        apiToken: profile.apiToken
+            || (localProfiles[index]?.providerType === profile.providerType ? localProfiles[index].apiToken : '')
+            || ''
+    }));
+}
+
+// ==================== Export and import ====================
+
+/**
+ * Settings as an object for a JSON export file
+ *
+ * @throws {Error} If API tokens are requested but locked
+ */
+export async function exportSettings({ includeSecrets = false } = {}) {
+    const { secretsLocked, ...settings } = await loadSettings();
+    if (includeSecrets && secretsLocked) {
+        throw new Error(SECRETS_LOCKED_MESSAGE);
+    }
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: includeSecrets ? settings : stripSecrets(settings)
+    };
+}
+
+/**
+ * Save settings from an export file on top of the current ones.
+ * Unknown keys are ignored, and a file without API tokens keeps this
+ * device's tokens.
+ *
+ * @returns {Promise<{count: number, syncWarning: string|null}>} How many
+ *     settings were imported, and a warning if some were not synced
+ * @throws {Error} If the file is not a settings export
+ */
+export async function importSettings(data) {
+    if (data?.format !== EXPORT_FORMAT || typeof data.settings !== 'object' || !data.settings) {
+        throw new Error('This file is not a Vibe Translate settings export.');
+    }
+
+    const imported = Object.fromEntries(
+        Object.entries(data.settings).filter(([key]) => SETTINGS_KEYS.includes(key))
+    );
+    const { secretsLocked, ...current } = await loadSettings();
+    const settings = { ...current, ...imported, apiToken: imported.apiToken || current.apiToken || '' };
+    if (Array.isArray(imported.fallbackProfiles)) {
+        settings.fallbackProfiles = restoreProfileTokens(imported.fallbackProfiles, current.fallbackProfiles);
+    }
+
+    const syncWarning = await saveSettings(settings);
+    return { count: Object.keys(imported).length, syncWarning };
+}
+
+// ==================== Sync ====================
+
+export async function isSyncEnabled() {
+    const { syncSettings } = await chrome.storage.local.get('syncSettings');
+    return syncSettings === true;
+}
+
+/**
+ * Turn syncing on or off. When turned on, settings already synced from
+ * another browser replace the local ones; otherwise the local ones are uploaded.
+ *
+ * @returns {Promise<{pulled: boolean, syncWarning: string|null}>} Whether
+ *     settings were taken from sync, and a warning if some were not uploaded
+ */
+export async function setSyncEnabled(enabled) {
+    if (!enabled) {
+        await chrome.storage.local.set({ syncSettings: false });
+        return { pulled: false, syncWarning: null };
+    }
+
+    const synced = await chrome.storage.sync.get(SETTINGS_KEYS);
+    const pulled = Object.keys(synced).length > 0;
+    let syncWarning = null;
+    if (pulled) {
+        await applySyncedSettings(synced);
+    } else {
+        const { secretsLocked, ...settings } = await loadSettings();
+        syncWarning = await pushToSync(settings);
+    }
+
+    await chrome.storage.local.set({ syncSettings: true });
+    return { pulled, syncWarning };
+}
+
+/**
+ * Upload settings without API tokens to sync storage. Chrome rejects the
+ * whole write if one value is over its per-item quota, so those settings are
+ * left out and stay on this device only.
+ *
+ * @returns {Promise<string|null>} A warning naming what was not synced
+ */
+async function pushToSync(settings) {
+    const items = stripSecrets(settings);
+    const oversized = Object.keys(items)
+        .filter(key => getSyncItemSize(key, items[key]) > chrome.storage.sync.QUOTA_BYTES_PER_ITEM);
+    oversized.forEach(key => delete items[key]);
+
+    try {
+        await chrome.storage.sync.set(items);
+    } catch (error) {
+        return `Settings were not synced: ${error.message}`;
+    }
+
+    if (oversized.length) {
+        return `Too large to sync, kept on this device only: ${oversized.join(', ')}`;
+    }
+    return null;
+}
+
+// Chrome counts the key and the JSON-encoded value against the item quota
+function getSyncItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Copy settings changed in another browser into local storage, keeping this
+ * device's API tokens. Called by the service worker on sync storage changes.
+ *
+ * @param {Object} changes Setting values by key; undefined removes the setting
+ */
+export async function applySyncedSettings(changes) {
+    const { fallbackProfiles } = await chrome.storage.local.get('fallbackProfiles');
+    const updates = {};
+    const removed = [];
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (!SETTINGS_KEYS.includes(key) || key === 'apiToken') {
+            continue;
+        }
+        if (value === undefined) {
+            removed.push(key);
+        } else {
+            updates[key] = value;
+        }
+    }
+
+    if (updates.fallbackProfiles) {
+        updates.fallbackProfiles = restoreProfileTokens(updates.fallbackProfiles, fallbackProfiles);
+    }
+
+    await chrome.storage.local.set(updates);
+    if (removed.length > 0) {
+        await chrome.storage.local.remove(removed);
+    }
+}
+
+// ==================== Encryption ====================
+
+/**
+ * Whether API tokens are encrypted, and if so whether they are unlocked
+ *
+ * @returns {Promise<{encrypted: boolean, locked: boolean}>}
+ */
+export async function getEncryptionState() {
+    const { encryptedSecrets } = await chrome.storage.local.get('encryptedSecrets');
+    if (!encryptedSecrets) {
+        return { encrypted: false, locked: false };
+    }
+    return { encrypted: true, locked: !(await getSessionKey()) };
+}
+
+/**
+ * Encrypt the stored API tokens with a passphrase and remove the plaintext
+ * copies. They stay unlocked for the rest of the browser session.
+ */
+export async function encryptApiTokens(passphrase) {
+    const settings = await loadSettings();
+    if (settings.secretsLocked) {
+        throw new Error('API keys are already encrypted.');
+    }
+
+    const salt = createSalt();
+    const key = await deriveKey(passphrase, salt);
+    await chrome.storage.local.set({
+        fallbackProfiles: stripSecrets(settings).fallbackProfiles || [],
+        encryptedSecrets: await encryptJson(key, getSecrets(settings), salt)
+    });
+    await chrome.storage.local.remove('apiToken');
+    await chrome.storage.session.set({ secretsKey: await exportKey(key) });
+}
+
+/**
+ * Unlock encrypted API tokens for the rest of the browser session.
+ * Session storage is cleared when the browser closes and is not readable
+ * from content scripts.
+ *
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlockApiTokens(passphrase) {
+    const { encryptedSecrets } = await chrome.storage.local.get('encryptedSecrets');
+    if (!encryptedSecrets) {
+        return;
+    }
+
+    const key = await deriveKey(passphrase, encryptedSecrets.salt);
+    try {
+        await decryptJson(key, encryptedSecrets);
+    } catch {
+        throw new Error('Wrong passphrase.');
+    }
+    await chrome.storage.session.set({ secretsKey: await exportKey(key) });
+}
+
+/**
+ * Forget the unlocked key until the passphrase is entered again
+ */
+export function lockApiTokens() {
+    return chrome.storage.session.remove('secretsKey');
+}
+
+/**
+ * Store the API tokens in plaintext again
+ *
+ * @throws {Error} If the tokens are locked
+ */
+export async function decryptApiTokens() {
+    const { secretsLocked, ...settings } = await loadSettings();
+    if (secretsLocked) {
+        throw new Error(SECRETS_LOCKED_MESSAGE);
+    }
+
+    await chrome.storage.local.set({
+        apiToken: settings.apiToken || '',
+        fallbackProfiles: settings.fallbackProfiles || []
+    });
+    await chrome.storage.local.remove('encryptedSecrets');
+    await lockApiTokens();
+}
+
+async function getSessionKey() {
+    const { secretsKey } = await chrome.storage.session.get('secretsKey');
+    return secretsKey ? importKey(secretsKey) : null;
+}
@@ -0,0 +1,75 @@
+// Vibe Translate - Per-site Rules
+// A rule matches pages by URL pattern and can turn the extension off there,
+// pick a preset or target language, and name the elements that context is
+// taken from on sites where the generic block walk finds the wrong ones.
+
+// Rule fields that replace stored settings for translations on matching pages
+const RULE_OVERRIDE_FIELDS = ['presetId', 'targetLanguage'];
+
+/**
+ * Whether a URL matches a site pattern.
+ * Patterns without a slash match the host and its subdomains, like
+ * "example.com". Patterns with one are matched against the host and path,
+ * with * as a wildcard, like "docs.example.com/api/*"; a trailing slash also
+ * covers everything below it, so a pasted "https://example.com/docs/" matches
+ * the docs pages. A scheme, a leading "*." and a query or fragment are ignored.
+ */
+export function matchesSitePattern(pattern, url) {
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return false;
+    }
+
+    let normalized = pattern.trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/^\*\./, '')
+        .replace(/[?#].*$/, '');
+    if (!normalized) {
+        return false;
+    }
+
+    const host = target.hostname.toLowerCase();
+    if (!normalized.includes('/')) {
+        return host === normalized || host.endsWith('.' + normalized);
+    }
+
+    if (normalized.endsWith('/')) {
+        normalized += '*';
+    }
+
+    // Subdomains match as they do for host-only patterns
+    const source = normalized.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^(?:[^/]+\\.)?${source}$`).test(host + target.pathname);
+}
+
+/**
+ * The first rule whose pattern matches the URL, or null
+ */
+export function findSiteRule(rules, url) {
+    if (!url) {
+        return null;
+    }
+    return (rules || []).find(rule => matchesSitePattern(rule.pattern || '', url)) || null;
+}
+
+/**
+ * Settings a rule replaces for translations on its pages; empty fields keep
+ * the stored settings. A preset deleted since the rule was saved is skipped,
+ * so the page falls back to the stored settings instead of failing.
+ */
+export function getSiteRuleOverrides(rule, presets = []) {
+    const overrides = {};
+    for (const field of RULE_OVERRIDE_FIELDS) {
+        if (rule?.[field]) {
+            overrides[field] = rule[field];
+        }
+    }
+    if (overrides.presetId && !presets.some(preset => preset.id === overrides.presetId)) {
+        delete overrides.presetId;
+    }
+    return overrides;
+}
@@ -0,0 +1,119 @@
+// Vibe Translate - Read results aloud
+// Loaded after content.js and result-card.js and shares their globals
+// (splitIntoSentences, detectTextLanguage, resultCards).
+// chrome.tts is only available to the service worker, so playback runs there
+// and its progress events come back here to highlight the spoken sentence.
+
+/**
+ * Starts reading one part of a card ('original' or 'translation') aloud,
+ * or stops it if that part is already playing.
+ */
+function toggleSpeech(card, button, data) {
+  const part = button.dataset.part;
+  if (card.speaking?.part === part) {
+    chrome.runtime.sendMessage({ action: 'stopSpeaking' });
+    return;
+  }
+
+  const element = card.content.querySelector(`[data-speech="${part}"]`);
+  const text = element?.textContent || '';
+  if (!text.trim()) {
+    return;
+  }
+
+  const language = part === 'original'
+    ? (data.sourceLanguage && data.sourceLanguage !== 'auto' ? data.sourceLanguage : detectTextLanguage(text, null))
+    : data.targetLanguage;
+
+  // The other part's interrupted event is ignored once this one starts
+  resetSpeaking(card);
+  card.speaking = { part, button, sentences: wrapSentences(element, text, language) };
+  button.classList.add('playing');
+  button.title = 'Stop';
+
+  chrome.runtime.sendMessage({ action: 'speak', text, language, cardId: card.id, part });
+}
+
+/**
+ * Wraps each sentence of the element's text in a span that records where it
+ * starts and ends, so spoken character positions can be mapped to sentences.
+ *
+ * @returns {HTMLElement[]} The sentence spans in order
+ */
+function wrapSentences(element, text, language) {
+  const fragment = document.createDocumentFragment();
+  const spans = [];
+  let cursor = 0;
+
+  for (const sentence of splitIntoSentences(text, language)) {
+    // Sentences come back with whitespace collapsed, so match any run of it
+    const pattern = new RegExp(sentence.split(' ').map(escapeRegExp).join('\\s+'), 'g');
+    pattern.lastIndex = cursor;
+    const match = pattern.exec(text);
+    if (!match) {
+      continue;
+    }
+
+    fragment.append(text.slice(cursor, match.index));
+    const span = document.createElement('span');
+    span.className = 'sentence';
+    span.textContent = match[0];
+    span.dataset.start = match.index;
+    span.dataset.end = match.index + match[0].length;
+    fragment.append(span);
+    spans.push(span);
+    cursor = match.index + match[0].length;
+  }
+
+  fragment.append(text.slice(cursor));
+  element.replaceChildren(fragment);
+  return spans;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Applies a chrome.tts event to the card that is speaking
+ */
+function handleSpeechEvent(message) {
+  const card = resultCards.get(message.cardId);
+  const speaking = card?.speaking;
+  if (!speaking || speaking.part !== message.part) {
+    return;
+  }
+
+  if (['end', 'interrupted', 'cancelled', 'error'].includes(message.type)) {
+    resetSpeaking(card);
+    return;
+  }
+
+  // Voices report word or sentence boundaries; either places the highlight
+  if (typeof message.charIndex === 'number') {
+    for (const span of speaking.sentences) {
+      const active = message.charIndex >= Number(span.dataset.start) && message.charIndex < Number(span.dataset.end);
+      span.classList.toggle('speaking', active);
+    }
+  }
+}
+
+/**
+ * Clears the highlight and playing button of the card's speaking part
+ */
+function resetSpeaking(card) {
+  const speaking = card.speaking;
+  if (!speaking) {
+    return;
+  }
+  speaking.sentences.forEach(span => span.classList.remove('speaking'));
+  speaking.button.classList.remove('playing');
+  speaking.button.title = 'Listen';
+  card.speaking = null;
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'speechEvent') {
+    handleSpeechEvent(message);
+  }
+});
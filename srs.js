@@ -0,0 +1,57 @@
+// Vibe Translate - Spaced Repetition
+// SM-2 scheduling for vocabulary cards
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Review grades offered on the review page (SM-2 quality 0-5)
+ */
+export const GRADES = [
+    { quality: 1, label: 'Again' },
+    { quality: 3, label: 'Hard' },
+    { quality: 4, label: 'Good' },
+    { quality: 5, label: 'Easy' }
+];
+
+/**
+ * Scheduling fields for a card that has never been reviewed; due immediately
+ */
+export function createSchedule() {
+    return {
+        repetitions: 0,
+        interval: 0,
+        ease: 2.5,
+        due: Date.now()
+    };
+}
+
+/**
+ * Apply one review with the given quality (0-5) and return the new schedule.
+ * Failed recalls (quality < 3) restart the card at a one-day interval.
+ */
+export function scheduleReview(card, quality) {
+    let { repetitions, interval, ease } = card;
+
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * ease);
+        }
+    }
+
+    ease = Math.max(1.3, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        repetitions,
+        interval,
+        ease,
+        due: Date.now() + interval * DAY_MS
+    };
+}
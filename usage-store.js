@@ -0,0 +1,97 @@
+// Vibe Translate - Token Usage
+// Records the tokens of every provider request and prices them for the
+// usage dashboard and the monthly budget
+import { promisifyRequest, withStore } from './db.js';
+
+// Records older than this are dropped as new ones arrive
+const USAGE_RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+
+/**
+ * Record one request's token counts, dropping records past the retention period
+ */
+export function addUsageRecord(record) {
+    return withStore('usage', 'readwrite', async (store) => {
+        store.add({ ...record, timestamp: Date.now() });
+
+        const expired = IDBKeyRange.upperBound(Date.now() - USAGE_RETENTION_MS);
+        const keys = await promisifyRequest(store.index('timestamp').getAllKeys(expired));
+        keys.forEach(key => store.delete(key));
+    });
+}
+
+/**
+ * Records made at or after the given time, oldest first
+ */
+export function getUsageRecords(since) {
+    return withStore('usage', 'readonly', (store) =>
+        promisifyRequest(store.index('timestamp').getAll(IDBKeyRange.lowerBound(since)))
+    );
+}
+
+export function clearUsage() {
+    return withStore('usage', 'readwrite', (store) => {
+        store.clear();
+    });
+}
+
+/**
+ * Start of the current day or month in local time
+ *
+ * @param {'day'|'month'} period
+ */
+export function getPeriodStart(period) {
+    const now = new Date();
+    return period === 'month'
+        ? new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+        : new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+}
+
+/**
+ * Price per million input and output tokens for a model, matched by name
+ * without regard to case. Returns null for models without a price.
+ */
+export function getModelPrice(prices, model) {
+    const name = (model || '').toLowerCase();
+    return (prices || []).find(price => price.model.toLowerCase() === name) || null;
+}
+
+/**
+ * Total requests, tokens and cost per provider and model.
+ * Models without a price have a null cost and are left out of the total.
+ *
+ * @returns {{rows: Object[], cost: number, unpriced: boolean}}
+ */
+export function summarizeUsage(records, prices) {
+    const rows = new Map();
+
+    for (const record of records) {
+        const key = `${record.provider}\u0000${record.model}`;
+        if (!rows.has(key)) {
+            const price = getModelPrice(prices, record.model);
+            rows.set(key, {
+                provider: record.provider,
+                model: record.model,
+                requests: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                price: price,
+                cost: price ? 0 : null
+            });
+        }
+
+        const row = rows.get(key);
+        row.requests++;
+        row.inputTokens += record.inputTokens;
+        row.outputTokens += record.outputTokens;
+        if (row.price) {
+            row.cost += (record.inputTokens * row.price.input + record.outputTokens * row.price.output) / 1e6;
+        }
+    }
+
+    const summary = [...rows.values()].sort((a, b) => b.inputTokens + b.outputTokens - a.inputTokens - a.outputTokens);
+    return {
+        rows: summary,
+        cost: summary.reduce((total, row) => total + (row.cost || 0), 0),
+        unpriced: summary.some(row => row.cost === null)
+    };
+}
@@ -0,0 +1,67 @@
+// Vibe Translate - Vocabulary Notebook
+// Saved words and phrases with their context sentence and review schedule
+import { promisifyRequest, withStore } from './db.js';
+import { createSchedule } from './srs.js';
+
+/**
+ * Normalized form used to find an existing entry for the same term
+ */
+function getTermKey(term) {
+    return term.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Save a term. Saving a term that already exists updates its translation
+ * and context but keeps its review progress.
+ */
+export function saveVocabularyEntry(entry) {
+    const termKey = getTermKey(entry.term);
+
+    return withStore('vocabulary', 'readwrite', async (store) => {
+        const existing = await promisifyRequest(store.index('term').get(termKey));
+
+        if (existing) {
+            store.put({ ...existing, ...entry, termKey, updatedAt: Date.now() });
+            return existing.id;
+        }
+
+        return promisifyRequest(store.add({
+            ...entry,
+            ...createSchedule(),
+            termKey,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        }));
+    });
+}
+
+/**
+ * All entries, most recently saved first
+ */
+export async function getVocabularyEntries() {
+    const entries = await withStore('vocabulary', 'readonly', (store) =>
+        promisifyRequest(store.getAll())
+    );
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Entries due for review now, most overdue first
+ */
+export function getDueEntries() {
+    return withStore('vocabulary', 'readonly', (store) =>
+        promisifyRequest(store.index('due').getAll(IDBKeyRange.upperBound(Date.now())))
+    );
+}
+
+export function updateVocabularyEntry(entry) {
+    return withStore('vocabulary', 'readwrite', (store) => {
+        store.put(entry);
+    });
+}
+
+export function deleteVocabularyEntries(ids) {
+    return withStore('vocabulary', 'readwrite', (store) => {
+        ids.forEach(id => store.delete(id));
+    });
+}
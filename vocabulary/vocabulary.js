@@ -0,0 +1,181 @@
+// Vibe Translate Vocabulary Page
+import { download, escapeHtml } from '../dom-utils.js';
+import { GRADES, scheduleReview } from '../srs.js';
+import {
+  deleteVocabularyEntries,
+  getDueEntries,
+  getVocabularyEntries,
+  updateVocabularyEntry
+} from '../vocabulary-store.js';
+
+// DOM Elements
+const tabs = document.querySelectorAll('.tab');
+const reviewView = document.getElementById('review-view');
+const wordsView = document.getElementById('words-view');
+const dueCount = document.getElementById('due-count');
+const wordCount = document.getElementById('word-count');
+const reviewCard = document.getElementById('review-card');
+const reviewEmpty = document.getElementById('review-empty');
+const cardTerm = document.getElementById('card-term');
+const cardSentence = document.getElementById('card-sentence');
+const cardAnswer = document.getElementById('card-answer');
+const showAnswerBtn = document.getElementById('show-answer');
+const gradeButtons = document.getElementById('grade-buttons');
+const wordSearch = document.getElementById('word-search');
+const wordList = document.getElementById('word-list');
+
+// Cards left in this review session, and every saved entry
+let dueQueue = [];
+let entries = [];
+
+document.addEventListener('DOMContentLoaded', loadVocabulary);
+
+// Switch between the review and word list views
+tabs.forEach(tab => {
+  tab.addEventListener('click', () => {
+    tabs.forEach(t => t.classList.toggle('active', t === tab));
+    reviewView.hidden = tab.dataset.view !== 'review';
+    wordsView.hidden = tab.dataset.view !== 'words';
+  });
+});
+
+showAnswerBtn.addEventListener('click', () => {
+  cardAnswer.hidden = false;
+  showAnswerBtn.hidden = true;
+  gradeButtons.hidden = false;
+});
+
+gradeButtons.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-quality]');
+  if (!button) {
+    return;
+  }
+
+  const card = dueQueue.shift();
+  const quality = Number(button.dataset.quality);
+  await updateVocabularyEntry({ ...card, ...scheduleReview(card, quality), lastReviewed: Date.now() });
+
+  // Failed cards come back at the end of this session
+  if (quality < 3) {
+    dueQueue.push({ ...card, ...scheduleReview(card, quality) });
+  }
+
+  showNextCard();
+  updateCounts();
+});
+
+wordSearch.addEventListener('input', renderWordList);
+
+wordList.addEventListener('click', async (e) => {
+  const button = e.target.closest('.delete-btn');
+  if (!button) {
+    return;
+  }
+
+  await deleteVocabularyEntries([Number(button.dataset.id)]);
+  await loadVocabulary();
+});
+
+document.getElementById('export-anki').addEventListener('click', () => {
+  download('vibe-translate-vocabulary.txt', toAnkiTsv(entries), 'text/tab-separated-values');
+});
+
+async function loadVocabulary() {
+  [entries, dueQueue] = await Promise.all([getVocabularyEntries(), getDueEntries()]);
+  showNextCard();
+  renderWordList();
+  updateCounts();
+}
+
+function updateCounts() {
+  dueCount.textContent = dueQueue.length ? `(${dueQueue.length})` : '';
+  wordCount.textContent = `(${entries.length})`;
+}
+
+// Show the front of the next due card
+function showNextCard() {
+  const card = dueQueue[0];
+
+  reviewCard.hidden = !card;
+  reviewEmpty.hidden = Boolean(card);
+  if (!card) {
+    return;
+  }
+
+  cardTerm.textContent = card.term;
+  cardSentence.innerHTML = highlightTerm(card.sentence, card.term);
+  cardAnswer.textContent = card.translation;
+  cardAnswer.hidden = true;
+  showAnswerBtn.hidden = false;
+  gradeButtons.hidden = true;
+
+  // Label each grade with the interval it would schedule
+  gradeButtons.innerHTML = GRADES.map(grade => `
+    <button type="button" class="secondary-btn" data-quality="${grade.quality}">
+      ${grade.label}
+      <span class="interval">${formatInterval(scheduleReview(card, grade.quality).interval)}</span>
+    </button>
+  `).join('');
+}
+
+function formatInterval(days) {
+  if (days < 30) {
+    return `${days}d`;
+  }
+  return days < 365 ? `${Math.round(days / 30)}mo` : `${(days / 365).toFixed(1)}y`;
+}
+
+function renderWordList() {
+  const query = wordSearch.value.trim().toLowerCase();
+  const filtered = entries.filter(entry => !query ||
+    [entry.term, entry.translation, entry.sentence].some(text => text?.toLowerCase().includes(query)));
+
+  if (filtered.length === 0) {
+    wordList.innerHTML = `<tr><td colspan="5" class="empty">${entries.length ? 'No words match' : 'No saved words yet'}</td></tr>`;
+    return;
+  }
+
+  wordList.innerHTML = filtered.map(entry => `
+    <tr>
+      <td>${escapeHtml(entry.term)}</td>
+      <td>${escapeHtml(entry.translation)}</td>
+      <td class="context">${highlightTerm(entry.sentence, entry.term)}</td>
+      <td>${entry.due <= Date.now() ? 'Due' : new Date(entry.due).toLocaleDateString()}</td>
+      <td><button type="button" class="secondary-btn danger delete-btn" data-id="${entry.id}">Delete</button></td>
+    </tr>
+  `).join('');
+}
+
+// Escape the sentence and wrap occurrences of the term in <mark>
+function highlightTerm(sentence, term) {
+  const escaped = escapeHtml(sentence || '');
+  const escapedTerm = escapeHtml(term || '').trim();
+  if (!escapedTerm) {
+    return escaped;
+  }
+
+  const pattern = new RegExp(escapedTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  return escaped.replace(pattern, match => `<mark>${match}</mark>`);
+}
+
+/**
+ * Anki's text importer reads these header lines (Anki 2.1.55+), so the file
+ * can be imported as-is into a Basic note type with extra fields.
+ */
+function toAnkiTsv(rows) {
+  const cell = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#columns:Front\tBack\tContext\tSource\tTags',
+    '#tags column:5',
+    ...rows.map(entry => [
+      cell(escapeHtml(entry.term)),
+      cell(escapeHtml(entry.translation)),
+      cell(highlightTerm(entry.sentence, entry.term).replace(/<(\/?)mark>/g, '<$1b>')),
+      cell(entry.pageUrl ? `<a href="${escapeHtml(entry.pageUrl)}">${escapeHtml(entry.pageTitle || entry.pageUrl)}</a>` : ''),
+      cell(['vibe-translate', entry.targetLanguage].filter(Boolean).join(' '))
+    ].join('\t'))
+  ];
+  return lines.join('\n') + '\n';
+}